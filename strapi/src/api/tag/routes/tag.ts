@@ -0,0 +1,7 @@
+/**
+ * tag router
+ */
+
+import { factories } from '@strapi/strapi';
+
+export default factories.createCoreRouter('api::tag.tag');
@@ -1,3 +1,88 @@
-/*
- * The app doesn't have any components yet.
- */
+import type { Struct, Schema } from '@strapi/strapi';
+
+export interface SharedButton extends Struct.ComponentSchema {
+  collectionName: 'components_shared_buttons';
+  info: {
+    displayName: 'button';
+    description: '';
+  };
+  attributes: {
+    label: Schema.Attribute.String;
+    url: Schema.Attribute.String;
+  };
+}
+
+export interface SharedEmbed extends Struct.ComponentSchema {
+  collectionName: 'components_shared_embeds';
+  info: {
+    displayName: 'embed';
+    description: '';
+  };
+  attributes: {
+    url: Schema.Attribute.String;
+    provider: Schema.Attribute.String;
+    caption: Schema.Attribute.String;
+  };
+}
+
+export interface SharedGallery extends Struct.ComponentSchema {
+  collectionName: 'components_shared_galleries';
+  info: {
+    displayName: 'gallery';
+    description: '';
+  };
+  attributes: {
+    images: Schema.Attribute.Media<'images', true>;
+    caption: Schema.Attribute.String;
+  };
+}
+
+export interface SharedRichText extends Struct.ComponentSchema {
+  collectionName: 'components_shared_rich_texts';
+  info: {
+    displayName: 'rich-text';
+    description: '';
+  };
+  attributes: {
+    body: Schema.Attribute.Blocks;
+  };
+}
+
+export interface SharedSeo extends Struct.ComponentSchema {
+  collectionName: 'components_shared_seos';
+  info: {
+    displayName: 'seo';
+    description: '';
+  };
+  attributes: {
+    metaTitle: Schema.Attribute.String;
+    metaDescription: Schema.Attribute.Text;
+    canonicalUrl: Schema.Attribute.String;
+    ogImage: Schema.Attribute.Media<'images'>;
+  };
+}
+
+export interface SharedTable extends Struct.ComponentSchema {
+  collectionName: 'components_shared_tables';
+  info: {
+    displayName: 'table';
+    description: '';
+  };
+  attributes: {
+    header: Schema.Attribute.JSON;
+    rows: Schema.Attribute.JSON;
+  };
+}
+
+declare module '@strapi/strapi' {
+  export module Public {
+    export interface ComponentSchemas {
+      'shared.button': SharedButton;
+      'shared.embed': SharedEmbed;
+      'shared.gallery': SharedGallery;
+      'shared.rich-text': SharedRichText;
+      'shared.seo': SharedSeo;
+      'shared.table': SharedTable;
+    }
+  }
+}
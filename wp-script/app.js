@@ -1,14 +1,11 @@
-import {
-  fetchWPData,
-  importWPData,
-} from "./lib/functions.js";
+import { runCli } from "./lib/cli.js";
+import { logger } from "./lib/logger.js";
 
-const BASE_URL = "http://wp-migration.local";
-const POSTS_PATH = "/wp-json/wp/v2/posts";
+// node app.js migrate --wp-url http://wp-migration.local --strapi-url http://localhost:1337
 
-// http://wp-migration.local/wp-json/wp/v2/posts
-
-const data = await fetchWPData(BASE_URL, POSTS_PATH);
-const response = await importWPData(data);
-
-// console.dir(response, { depth: null });
+try {
+  await runCli(process.argv.slice(2));
+} catch (error) {
+  logger.error(error.message);
+  process.exitCode = 1;
+}
@@ -1,7 +1,118 @@
+// Defaults only: override with a config file, environment variables or CLI flags
 export const CONFIG = {
+  WP: {
+    BASE_URL: "http://wp-migration.local",
+    API_PATH: "/wp-json/wp/v2",
+    POST_TYPE: "posts",
+    USERNAME: "",
+    APP_PASSWORD: "",
+  },
   API: {
     BASE_URL: "http://localhost:1337",
     UPLOAD_PATH: "/api/upload",
     POSTS_PATH: "/api/posts",
+    CATEGORIES_PATH: "/api/categories",
+    TAGS_PATH: "/api/tags",
+    AUTHORS_PATH: "/api/authors",
+    PAGES_PATH: "/api/pages",
+    TOKEN: "",
+  },
+  MIGRATION: {
+    // "upsert" updates posts already in Strapi, "create" always POSTs
+    MODE: "upsert",
+    CONCURRENCY: 5,
+    // Migrate categories and tags and attach them to each post
+    TAXONOMIES: true,
+    // Migrate WordPress users into authors and link each post to its author
+    AUTHORS: true,
+    // Migrate WordPress pages, with their hierarchy, into the page collection
+    PAGES: true,
+    PER_PAGE: 100,
+    // Convert Gutenberg blocks from content.raw instead of the rendered HTML;
+    // raw content is only returned to authenticated requests
+    GUTENBERG: false,
+    // SEO plugin the seo component is read from: "yoast" (yoast_head_json),
+    // "rankmath" (its getHead endpoint, needs "Headless CMS Support") or ""
+    SEO: "yoast",
+    // JSON or JS file mapping custom post types and their ACF fields onto
+    // Strapi content types; see lib/mapping.js for the format
+    MAPPING: "",
+    // after / modifiedAfter take ISO 8601 dates, status a WordPress post status
+    FILTERS: {
+      after: "",
+      modifiedAfter: "",
+      status: "",
+    },
+  },
+  HTTP: {
+    // Requests in flight at once, across WordPress and Strapi
+    CONCURRENCY: 10,
+    RETRIES: 4,
+    BACKOFF_MS: 500,
+    MAX_BACKOFF_MS: 30000,
+    // Requests per second keyed by host (e.g. "localhost:1337"); 0 = unlimited
+    RATE_LIMITS: {
+      default: 0,
+    },
+  },
+  LINKS: {
+    // Point internal links in migrated posts at the new frontend routes
+    REWRITE: true,
+    // Routes per content type; {slug}, {id} (WordPress ID), {documentId},
+    // {path} (the WordPress path, e.g. services/web for a child page), {year},
+    // {month} and {day} are filled in. Leave one empty to skip it. Custom
+    // post types from the mapping file use the template under their type
+    // name, /<name>/{slug} when there's none.
+    TEMPLATES: {
+      post: "/blog/{slug}",
+      page: "/{path}",
+      category: "/category/{slug}",
+      tag: "/tag/{slug}",
+    },
+  },
+  REDIRECTS: {
+    // Write a 301 map from old WordPress URLs to the new routes after migrate
+    ENABLED: true,
+    DIR: "redirects",
+    // Any of "json", "nginx", "apache", "netlify" and "vercel"
+    FORMATS: ["json", "nginx", "apache", "netlify", "vercel"],
+    // Prefixed to every target, e.g. "https://new.example.com"; empty keeps
+    // the redirects on the same host
+    TARGET_BASE_URL: "",
+  },
+  VERIFY: {
+    // Posts whose text similarity to the WordPress source falls below this
+    // (0 to 1) are flagged in the verify report
+    THRESHOLD: 0.9,
+  },
+  LOG: {
+    // Lowest level printed: "debug", "info", "warn" or "error"
+    LEVEL: "info",
+    // NDJSON file receiving every record at every level, e.g. for CI
+    FILE: "",
+    // Live progress bar on interactive terminals
+    PROGRESS: true,
+  },
+  EXPORT: {
+    // Where the export command writes Markdown, Blocks JSON and images
+    DIR: "export",
+    // Images go here, inside DIR
+    ASSETS_DIR: "assets",
+  },
+  REPORTS: {
+    DIR: "reports",
+  },
+  RUNS: {
+    // One manifest per migrate run of what it created, read by rollback
+    DIR: ".cache/runs",
+  },
+  STATE: {
+    // Append-only journal of each WordPress entity's migration status
+    PATH: ".cache/migration-state.ndjson",
+  },
+  CACHE: {
+    IMAGE_CACHE_PATH: ".cache/image-cache.json",
+    // Evict cached uploads that were deleted from the Strapi media library
+    RECONCILE_ON_START: true,
   },
 };
@@ -0,0 +1,95 @@
+import { CONFIG } from "../config.js";
+import { fetchWPData } from "./functions.js";
+import {
+  fetchExistingEntries,
+  findExistingEntry,
+  saveStrapiEntry,
+} from "./strapi.js";
+import { mapSettled } from "./http.js";
+import { uploadMedia } from "./media.js";
+import { collectFailures, hashContent } from "./utils.js";
+import { logger } from "./logger.js";
+
+// WordPress only exposes Gravatar URLs keyed by size, so take the largest
+function largestAvatar(avatarUrls = {}) {
+  const sizes = Object.keys(avatarUrls).map(Number);
+  if (sizes.length === 0) return null;
+  return avatarUrls[Math.max(...sizes)];
+}
+
+// A missing avatar shouldn't keep the author itself from migrating
+async function uploadAvatar(user) {
+  const src = largestAvatar(user.avatar_urls);
+  if (!src) return null;
+
+  try {
+    const avatar = await uploadMedia(src);
+    return avatar.id;
+  } catch (error) {
+    logger.error("Failed to upload avatar", { slug: user.slug, error });
+    return null;
+  }
+}
+
+// Upserts WordPress users into the Strapi author collection, matched by wpId or slug.
+// Authors unchanged since the last run are neither saved nor their avatar
+// uploaded again. Returns a Map of WordPress user ID -> Strapi documentId.
+export async function migrateAuthors() {
+  const users = await fetchWPData(
+    CONFIG.WP.BASE_URL,
+    `${CONFIG.WP.API_PATH}/users`,
+    {
+      perPage: CONFIG.MIGRATION.PER_PAGE,
+      // Without auth WordPress only lists users with published posts
+      context: CONFIG.WP.USERNAME ? "edit" : undefined,
+    }
+  );
+
+  const existing = await fetchExistingEntries(CONFIG.API.AUTHORS_PATH);
+
+  const documentIds = new Map();
+
+  const results = await mapSettled(
+    users,
+    CONFIG.MIGRATION.CONCURRENCY,
+    async (user) => {
+      const match = findExistingEntry(existing, user);
+      const avatarSrc = largestAvatar(user.avatar_urls);
+      const sourceHash = hashContent({
+        name: user.name,
+        slug: user.slug,
+        description: user.description,
+        avatar: avatarSrc,
+      });
+      if (match && match.sourceHash === sourceHash) {
+        documentIds.set(user.id, match.documentId);
+        return;
+      }
+
+      const avatar = await uploadAvatar(user);
+
+      const { data } = await saveStrapiEntry(
+        CONFIG.API.AUTHORS_PATH,
+        match?.documentId,
+        {
+          name: user.name,
+          slug: user.slug,
+          bio: user.description,
+          wpId: user.id,
+          // A failed avatar upload is retried on the next run
+          sourceHash: avatar || !avatarSrc ? sourceHash : null,
+          ...(avatar && { avatar }),
+        }
+      );
+      documentIds.set(user.id, data.documentId);
+    }
+  );
+
+  const failures = collectFailures(users, results);
+  if (failures.length > 0) {
+    logger.error("Some authors failed to migrate", { failures });
+  }
+  logger.info(`Migrated ${documentIds.size}/${users.length} authors`);
+
+  return documentIds;
+}
@@ -0,0 +1,516 @@
+import { parseArgs } from "node:util";
+
+import { CONFIG } from "../config.js";
+import { mergeConfig, validateConfig, loadDataFile } from "./utils.js";
+import { fetchWPData, importWPData } from "./functions.js";
+import { ImageCacheManager } from "./image-cache.js";
+import { buildDryRunReport, writeDryRunReport } from "./dry-run.js";
+import { MigrationStateManager } from "./migration-state.js";
+import { migrateTaxonomies } from "./taxonomies.js";
+import { migrateAuthors } from "./authors.js";
+import {
+  buildLinkMap,
+  collectMigrated,
+  rewriteInternalLinks,
+} from "./links.js";
+import { buildRedirects, writeRedirects } from "./redirects.js";
+import { migratePages } from "./pages.js";
+import { loadMapping, toContentFields } from "./mapping.js";
+import { RunManifest } from "./run-manifest.js";
+import { rollbackRun } from "./rollback.js";
+import { logger } from "./logger.js";
+import { exportToFiles } from "./file-export.js";
+import {
+  verifyCollection,
+  buildVerifyReport,
+  writeVerifyReport,
+} from "./verify.js";
+
+// The help lists these, so a command only shows up once it runs something
+const COMMANDS = {
+  migrate: {
+    run: migrate,
+    summary: "Fetch WordPress posts and pages and import them into Strapi",
+  },
+  "dry-run": {
+    run: dryRun,
+    summary: "Convert posts and report what migrate would do, without writing",
+  },
+  verify: {
+    run: verify,
+    summary: "Compare migrated Strapi posts against their WordPress source",
+  },
+  rollback: {
+    run: rollback,
+    summary: "Delete the entries and media created by a previous migrate run",
+  },
+  export: {
+    run: exportFiles,
+    summary: "Write posts and pages as Markdown and Blocks JSON files, no Strapi",
+  },
+};
+
+const USAGE = `Usage: node app.js <command> [options]
+
+Commands:
+${Object.entries(COMMANDS)
+  .map(([name, { summary }]) => `  ${name.padEnd(12)}${summary}`)
+  .join("\n")}
+
+Options:
+  --config <path>          JSON or JS config file (env: MIGRATION_CONFIG)
+  --wp-url <url>           WordPress site URL (env: WP_BASE_URL)
+  --post-type <type>       WordPress REST collection, e.g. posts (env: WP_POST_TYPE)
+  --wp-user <name>         WordPress username (env: WP_USERNAME)
+  --wp-password <pass>     WordPress application password (env: WP_APP_PASSWORD)
+  --strapi-url <url>       Strapi URL (env: STRAPI_URL)
+  --strapi-token <token>   Strapi API token (env: STRAPI_API_TOKEN)
+  --mode <mode>            upsert or create (env: MIGRATION_MODE)
+  --concurrency <n>        Posts processed in parallel (env: MIGRATION_CONCURRENCY)
+  --retries <n>            Retries for failed or throttled HTTP requests
+  --rate-limit <n>         Max requests per second to each host, 0 for none
+  --per-page <n>           WordPress page size, max 100
+  --after <date>           Only posts published after this ISO date
+  --modified-after <date>  Only posts modified after this ISO date
+  --status <status>        Only posts with this WordPress status
+  --skip-taxonomies        Don't migrate categories and tags
+  --skip-authors           Don't migrate WordPress users into authors
+  --skip-pages             Don't migrate WordPress pages
+  --skip-links             Don't rewrite internal links to the new routes
+  --skip-redirects         Don't write the old URL redirect map
+  --redirect-formats <list> Any of json,nginx,apache,netlify,vercel
+  --gutenberg              Convert Gutenberg blocks from raw content (needs --wp-user)
+  --seo <source>           Read SEO metadata from yoast or rankmath
+  --mapping <path>         Custom post type mapping file (env: MIGRATION_MAPPING)
+  --state-file <path>      Migration state file used to resume interrupted runs
+  --retry-failed           Only reprocess posts that failed in a previous run
+  --report-dir <dir>       Where dry-run and verify reports are written
+  --export-dir <dir>       Where export writes its files
+  --threshold <n>          Verify similarity below which a post is flagged, 0-1
+  --log-level <level>      debug, info, warn or error (env: LOG_LEVEL)
+  --log-file <path>        Also write every log record as NDJSON to this file
+  --no-progress            Don't draw the progress bar
+  --run <id>               Run to roll back, defaults to the latest
+  --force                  Roll back entries edited in Strapi since the run
+  -h, --help               Show this help
+
+Flags take precedence over environment variables, which take precedence over the config file.`;
+
+const CLI_OPTIONS = {
+  config: { type: "string" },
+  "wp-url": { type: "string" },
+  "post-type": { type: "string" },
+  "wp-user": { type: "string" },
+  "wp-password": { type: "string" },
+  "strapi-url": { type: "string" },
+  "strapi-token": { type: "string" },
+  mode: { type: "string" },
+  concurrency: { type: "string" },
+  "per-page": { type: "string" },
+  retries: { type: "string" },
+  "rate-limit": { type: "string" },
+  after: { type: "string" },
+  "modified-after": { type: "string" },
+  status: { type: "string" },
+  "report-dir": { type: "string" },
+  "export-dir": { type: "string" },
+  "state-file": { type: "string" },
+  "retry-failed": { type: "boolean" },
+  "skip-taxonomies": { type: "boolean" },
+  "skip-authors": { type: "boolean" },
+  "skip-pages": { type: "boolean" },
+  gutenberg: { type: "boolean" },
+  seo: { type: "string" },
+  mapping: { type: "string" },
+  "skip-links": { type: "boolean" },
+  "skip-redirects": { type: "boolean" },
+  "redirect-formats": { type: "string" },
+  threshold: { type: "string" },
+  "log-level": { type: "string" },
+  "log-file": { type: "string" },
+  "no-progress": { type: "boolean" },
+  run: { type: "string" },
+  force: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+function toNumber(value) {
+  return value === undefined ? undefined : Number(value);
+}
+
+async function loadConfigFile(configPath) {
+  if (!configPath) return {};
+  return loadDataFile(configPath, "CONFIG", "Config file");
+}
+
+// Shapes flag or env values like the CONFIG object so they can be merged into it
+function toConfigOverrides(values) {
+  return {
+    WP: {
+      BASE_URL: values.wpUrl,
+      POST_TYPE: values.postType,
+      USERNAME: values.wpUser,
+      APP_PASSWORD: values.wpPassword,
+    },
+    API: {
+      BASE_URL: values.strapiUrl,
+      TOKEN: values.strapiToken,
+    },
+    MIGRATION: {
+      MODE: values.mode,
+      CONCURRENCY: toNumber(values.concurrency),
+      PER_PAGE: toNumber(values.perPage),
+      TAXONOMIES: values.skipTaxonomies ? false : undefined,
+      AUTHORS: values.skipAuthors ? false : undefined,
+      PAGES: values.skipPages ? false : undefined,
+      GUTENBERG: values.gutenberg,
+      SEO: values.seo,
+      MAPPING: values.mapping,
+      FILTERS: {
+        after: values.after,
+        modifiedAfter: values.modifiedAfter,
+        status: values.status,
+      },
+    },
+    LINKS: {
+      REWRITE: values.skipLinks ? false : undefined,
+    },
+    HTTP: {
+      RETRIES: toNumber(values.retries),
+      RATE_LIMITS: { default: toNumber(values.rateLimit) },
+    },
+    REDIRECTS: {
+      ENABLED: values.skipRedirects ? false : undefined,
+      FORMATS: values.redirectFormats
+        ?.split(",")
+        .map((format) => format.trim()),
+    },
+    VERIFY: {
+      THRESHOLD: toNumber(values.threshold),
+    },
+    LOG: {
+      LEVEL: values.logLevel,
+      FILE: values.logFile,
+      PROGRESS: values.noProgress ? false : undefined,
+    },
+    EXPORT: {
+      DIR: values.exportDir,
+    },
+    REPORTS: {
+      DIR: values.reportDir,
+    },
+    STATE: {
+      PATH: values.stateFile,
+    },
+  };
+}
+
+function readEnv(env) {
+  return {
+    wpUrl: env.WP_BASE_URL,
+    postType: env.WP_POST_TYPE,
+    wpUser: env.WP_USERNAME,
+    wpPassword: env.WP_APP_PASSWORD,
+    strapiUrl: env.STRAPI_URL,
+    strapiToken: env.STRAPI_API_TOKEN,
+    mode: env.MIGRATION_MODE,
+    concurrency: env.MIGRATION_CONCURRENCY,
+    mapping: env.MIGRATION_MAPPING,
+    logLevel: env.LOG_LEVEL,
+  };
+}
+
+function readFlags(values) {
+  return {
+    wpUrl: values["wp-url"],
+    postType: values["post-type"],
+    wpUser: values["wp-user"],
+    wpPassword: values["wp-password"],
+    strapiUrl: values["strapi-url"],
+    strapiToken: values["strapi-token"],
+    mode: values.mode,
+    concurrency: values.concurrency,
+    perPage: values["per-page"],
+    retries: values.retries,
+    rateLimit: values["rate-limit"],
+    after: values.after,
+    modifiedAfter: values["modified-after"],
+    status: values.status,
+    threshold: values.threshold,
+    logLevel: values["log-level"],
+    logFile: values["log-file"],
+    noProgress: values["no-progress"],
+    reportDir: values["report-dir"],
+    exportDir: values["export-dir"],
+    stateFile: values["state-file"],
+    skipTaxonomies: values["skip-taxonomies"],
+    skipAuthors: values["skip-authors"],
+    skipPages: values["skip-pages"],
+    gutenberg: values.gutenberg,
+    seo: values.seo,
+    mapping: values.mapping,
+    skipLinks: values["skip-links"],
+    skipRedirects: values["skip-redirects"],
+    redirectFormats: values["redirect-formats"],
+  };
+}
+
+export async function resolveConfig(values, env = process.env) {
+  const fileConfig = await loadConfigFile(
+    values.config || env.MIGRATION_CONFIG
+  );
+
+  mergeConfig(CONFIG, fileConfig);
+  mergeConfig(CONFIG, toConfigOverrides(readEnv(env)));
+  mergeConfig(CONFIG, toConfigOverrides(readFlags(values)));
+
+  validateConfig();
+  return CONFIG;
+}
+
+// filtered applies MIGRATION.FILTERS
+async function fetchSourceEntries(collection, { filtered = true } = {}) {
+  return fetchWPData(
+    CONFIG.WP.BASE_URL,
+    `${CONFIG.WP.API_PATH}/${collection}`,
+    {
+      perPage: CONFIG.MIGRATION.PER_PAGE,
+      ...(filtered && CONFIG.MIGRATION.FILTERS),
+      // Saves a media request per post for featured images
+      embed: "wp:featuredmedia",
+      // Authenticated reads can include drafts and private posts
+      context: CONFIG.WP.USERNAME ? "edit" : undefined,
+    }
+  );
+}
+
+// Resolves with { posts, pages }; pages is empty when they aren't migrated.
+// reconcile checks the image cache against Strapi first.
+async function fetchSources({
+  reconcile = CONFIG.CACHE.RECONCILE_ON_START,
+  filtered = true,
+} = {}) {
+  if (reconcile) {
+    await ImageCacheManager.getInstance().reconcile();
+  }
+
+  const posts = await fetchSourceEntries(CONFIG.WP.POST_TYPE, { filtered });
+  const pages =
+    CONFIG.MIGRATION.PAGES && CONFIG.WP.POST_TYPE !== "pages"
+      ? await fetchSourceEntries("pages", { filtered })
+      : [];
+  return { posts, pages };
+}
+
+function unionById(entities, extra) {
+  const ids = new Set(entities.map((entity) => entity.id));
+  return [...entities, ...extra.filter((entity) => !ids.has(entity.id))];
+}
+
+// Filters only narrow what gets imported, while links and redirects cover
+// every entry migrated so far. With filters set, the unfiltered lists are
+// fetched, plus what was imported (e.g. drafts, which WordPress leaves out
+// unless asked for by --status). Resolves with { posts, pages, mapped }.
+async function fetchLinkedSources({ posts, pages }, mapped) {
+  const { after, modifiedAfter, status } = CONFIG.MIGRATION.FILTERS;
+  if (!after && !modifiedAfter && !status) return { posts, pages, mapped };
+
+  const all = await fetchSources({ reconcile: false, filtered: false });
+  const allMapped = [];
+  for (const group of mapped) {
+    const entries = await fetchSourceEntries(group.type.source, {
+      filtered: false,
+    });
+    allMapped.push({ ...group, entries: unionById(entries, group.entries) });
+  }
+  return {
+    posts: unionById(all.posts, posts),
+    pages: unionById(all.pages, pages),
+    mapped: allMapped,
+  };
+}
+
+async function migrate(values) {
+  const mappedTypes = await loadMappedTypes();
+  const { posts: data, pages } = await fetchSources();
+  const manifest = RunManifest.getInstance();
+  manifest.start("migrate");
+  const state = MigrationStateManager.getInstance();
+  const taxonomies = CONFIG.MIGRATION.TAXONOMIES
+    ? await migrateTaxonomies()
+    : null;
+  const authors = CONFIG.MIGRATION.AUTHORS ? await migrateAuthors() : null;
+
+  const results = await importWPData(data, {
+    mode: CONFIG.MIGRATION.MODE,
+    state,
+    retryFailed: values["retry-failed"],
+    taxonomies,
+    authors,
+  });
+  const pageResults = await migratePages(pages, {
+    mode: CONFIG.MIGRATION.MODE,
+    state,
+    retryFailed: values["retry-failed"],
+  });
+  const mapped = await migrateMappedTypes(mappedTypes, {
+    mode: CONFIG.MIGRATION.MODE,
+    state,
+    retryFailed: values["retry-failed"],
+  });
+  const mappedResults = mapped.flatMap((group) => group.results);
+
+  if (CONFIG.LINKS.REWRITE || CONFIG.REDIRECTS.ENABLED) {
+    const linked = await fetchLinkedSources({ posts: data, pages }, mapped);
+    const migrated = collectMigrated([
+      ...results,
+      ...pageResults,
+      ...mappedResults,
+    ]);
+    // --retry-failed and filters leave out what earlier runs imported, which
+    // still links
+    [
+      ...linked.posts,
+      ...linked.pages,
+      ...linked.mapped.flatMap((group) => group.entries),
+    ].forEach((entity) => {
+      const recorded = state.get(entity);
+      if (migrated.has(entity.id) || recorded?.status !== "imported") return;
+      migrated.set(entity.id, {
+        documentId: recorded.documentId,
+        slug: entity.slug,
+      });
+    });
+    const links = await buildLinkMap(
+      linked.posts,
+      migrated,
+      CONFIG.MIGRATION.PAGES ? linked.pages : null,
+      linked.mapped
+    );
+
+    if (CONFIG.LINKS.REWRITE) {
+      await rewriteInternalLinks(data, results, { links });
+      await rewriteInternalLinks(pages, pageResults, {
+        links,
+        apiPath: CONFIG.API.PAGES_PATH,
+      });
+      for (const { type, entries, results: typeResults } of mapped) {
+        await rewriteInternalLinks(entries, typeResults, {
+          links,
+          apiPath: type.target,
+          fields: toContentFields(type),
+        });
+      }
+    }
+    if (CONFIG.REDIRECTS.ENABLED) exportRedirects(links);
+  }
+
+  logger.info("Migration state", state.getStats());
+  logger.info(`Run ${manifest.runId} recorded in ${manifest.filePath}`, {
+    created: manifest.getStats(),
+  });
+  return [...results, ...pageResults, ...mappedResults];
+}
+
+// Loaded before anything is imported so a broken mapping fails fast
+async function loadMappedTypes() {
+  return CONFIG.MIGRATION.MAPPING ? loadMapping(CONFIG.MIGRATION.MAPPING) : [];
+}
+
+// Imports every type of the mapping file into its own collection. Resolves
+// with [{ type, entries, results }], one per type.
+async function migrateMappedTypes(types, options) {
+  const groups = [];
+  for (const type of types) {
+    const entries = await fetchSourceEntries(type.source);
+    logger.info(`Importing ${entries.length} ${type.name} into ${type.target}`);
+    const results = await importWPData(entries, {
+      ...options,
+      apiPath: type.target,
+      mapping: type,
+    });
+    groups.push({ type, entries, results });
+  }
+  return groups;
+}
+
+function exportRedirects(links) {
+  const redirects = buildRedirects(links);
+  const files = writeRedirects(
+    redirects,
+    CONFIG.REDIRECTS.DIR,
+    CONFIG.REDIRECTS.FORMATS
+  );
+  logger.info(`Wrote ${redirects.length} redirects to ${files.join(", ")}`);
+}
+
+async function dryRun() {
+  const mappedTypes = await loadMappedTypes();
+  const { posts, pages } = await fetchSources();
+  const options = {
+    mode: CONFIG.MIGRATION.MODE,
+    dryRun: true,
+    state: MigrationStateManager.getInstance(),
+  };
+  const results = [
+    ...(await importWPData(posts, options)),
+    ...(await migratePages(pages, options)),
+    ...(await migrateMappedTypes(mappedTypes, options)).flatMap(
+      (group) => group.results
+    ),
+  ];
+
+  const report = buildDryRunReport(results);
+  const { jsonPath, textPath } = writeDryRunReport(report, CONFIG.REPORTS.DIR);
+  logger.info(`Dry run report written to ${jsonPath} and ${textPath}`);
+  return report;
+}
+
+async function verify() {
+  const { posts, pages } = await fetchSources();
+  const checked = [
+    ...(await verifyCollection(posts, CONFIG.API.POSTS_PATH)),
+    ...(await verifyCollection(pages, CONFIG.API.PAGES_PATH)),
+  ];
+
+  const report = buildVerifyReport(checked, CONFIG.VERIFY.THRESHOLD);
+  const { jsonPath, htmlPath } = writeVerifyReport(report, CONFIG.REPORTS.DIR);
+  logger.info("Verify summary", report.summary);
+  logger.info(`Verify report written to ${jsonPath} and ${htmlPath}`);
+  return report;
+}
+
+// Needs no Strapi, so the image cache is left alone
+async function exportFiles() {
+  const sources = await fetchSources({ reconcile: false });
+  return exportToFiles(sources);
+}
+
+async function rollback(values) {
+  return rollbackRun(values.run, {
+    force: values.force,
+    mappedTypes: await loadMappedTypes(),
+  });
+}
+
+export async function runCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: CLI_OPTIONS,
+    allowPositionals: true,
+  });
+
+  const [command = "migrate"] = positionals;
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+  }
+
+  await resolveConfig(values);
+  return COMMANDS[command].run(values);
+}
@@ -0,0 +1,117 @@
+import fs from "node:fs";
+import path from "node:path";
+
+const LEFTOVER_HTML = /<\/?[a-z][a-z0-9-]*(\s[^>]*)?>/i;
+// [caption id="..."] or [/gallery], but not markdown link text like [text](url)
+const LEFTOVER_SHORTCODE = /\[\/?[a-z_-]+(\s[^\]]*)?\](?!\()/i;
+
+// Heuristics for conversions that likely need a manual look
+export function collectConversionWarnings(entity, markdown, blocks) {
+  const warnings = [];
+
+  if (entity.content?.rendered?.trim() && !markdown.trim()) {
+    warnings.push("Content converted to empty markdown");
+  }
+
+  if (LEFTOVER_HTML.test(markdown)) {
+    warnings.push("Markdown still contains raw HTML");
+  }
+
+  const shortcode = markdown.match(LEFTOVER_SHORTCODE);
+  if (shortcode) {
+    warnings.push(`Possible unexpanded shortcode: ${shortcode[0]}`);
+  }
+
+  if (markdown.trim() && blocks.length === 0) {
+    warnings.push("Markdown produced no blocks");
+  }
+
+  return warnings;
+}
+
+export function buildDryRunReport(results) {
+  const posts = [];
+  const failures = [];
+  const summary = {
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    failed: 0,
+    imagesToUpload: 0,
+    imagesCached: 0,
+    warnings: 0,
+  };
+
+  results.forEach((result) => {
+    if (result.status === "rejected") {
+      summary.failed++;
+      failures.push(result.reason.message);
+      return;
+    }
+
+    const { action, wpId, slug, documentId, images = [], warnings = [] } =
+      result.value;
+    const upload = images.filter((image) => image.status === "upload");
+
+    summary[action]++;
+    summary.imagesToUpload += upload.length;
+    summary.imagesCached += images.filter(
+      (image) => image.status === "cached"
+    ).length;
+    summary.warnings += warnings.length;
+
+    posts.push({
+      action,
+      wpId,
+      slug,
+      documentId,
+      imagesToUpload: upload.map((image) => image.src),
+      warnings,
+    });
+  });
+
+  return { generatedAt: new Date().toISOString(), summary, posts, failures };
+}
+
+export function formatDryRunReport(report) {
+  const { summary } = report;
+  const lines = [
+    `Dry run generated ${report.generatedAt}`,
+    "",
+    `Would create: ${summary.created}`,
+    `Would update: ${summary.updated}`,
+    `Would skip:   ${summary.skipped}`,
+    `Failed:       ${summary.failed}`,
+    `Images to upload: ${summary.imagesToUpload} (${summary.imagesCached} already cached)`,
+    `Warnings: ${summary.warnings}`,
+    "",
+  ];
+
+  report.posts
+    .filter((post) => post.action !== "skipped" || post.warnings.length > 0)
+    .forEach((post) => {
+      lines.push(`[${post.action}] ${post.slug} (wp ${post.wpId})`);
+      post.imagesToUpload.forEach((src) => lines.push(`  + upload ${src}`));
+      post.warnings.forEach((warning) => lines.push(`  ! ${warning}`));
+    });
+
+  if (report.failures.length > 0) {
+    lines.push("", "Failures:");
+    report.failures.forEach((failure) => lines.push(`  x ${failure}`));
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+// Writes <dir>/dry-run-<timestamp>.json and a matching .txt summary
+export function writeDryRunReport(report, outputDir) {
+  const stamp = report.generatedAt.replace(/[:.]/g, "-");
+  const jsonPath = path.resolve(outputDir, `dry-run-${stamp}.json`);
+  const textPath = path.resolve(outputDir, `dry-run-${stamp}.txt`);
+
+  fs.mkdirSync(path.dirname(jsonPath), { recursive: true });
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+  fs.writeFileSync(textPath, formatDryRunReport(report));
+
+  return { jsonPath, textPath };
+}
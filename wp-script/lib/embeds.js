@@ -0,0 +1,53 @@
+// Sites WordPress embeds through oEmbed, keyed by Gutenberg's providerNameSlug
+const EMBED_PROVIDERS = {
+  youtube: ["youtube.com", "youtube-nocookie.com", "youtu.be"],
+  vimeo: ["vimeo.com"],
+  twitter: ["twitter.com", "x.com"],
+  instagram: ["instagram.com"],
+  facebook: ["facebook.com"],
+  tiktok: ["tiktok.com"],
+  spotify: ["spotify.com"],
+  soundcloud: ["soundcloud.com"],
+};
+
+function parseUrl(url) {
+  try {
+    // Embed iframes often use protocol-relative sources
+    return new URL(url.startsWith("//") ? `https:${url}` : url);
+  } catch {
+    return null;
+  }
+}
+
+// Returns the provider slug for an embeddable URL, or null
+export function detectEmbedProvider(url) {
+  const host = parseUrl(url)?.hostname.replace(/^www\./, "");
+  if (!host) return null;
+
+  const match = Object.entries(EMBED_PROVIDERS).find(([, domains]) =>
+    domains.some((domain) => host === domain || host.endsWith(`.${domain}`))
+  );
+  return match ? match[0] : null;
+}
+
+// Turns a player URL from an iframe back into the page URL that was embedded
+export function toEmbedUrl(src) {
+  const url = parseUrl(src);
+  if (!url) return src;
+
+  const youtube = url.pathname.match(/^\/embed\/([\w-]+)/);
+  if (youtube && detectEmbedProvider(url.href) === "youtube") {
+    return `https://www.youtube.com/watch?v=${youtube[1]}`;
+  }
+
+  const vimeo = url.pathname.match(/^\/video\/(\d+)/);
+  if (vimeo && url.hostname === "player.vimeo.com") {
+    return `https://vimeo.com/${vimeo[1]}`;
+  }
+
+  if (url.hostname === "open.spotify.com") {
+    return `https://open.spotify.com${url.pathname.replace(/^\/embed/, "")}`;
+  }
+
+  return url.href;
+}
@@ -0,0 +1,358 @@
+import fs from "node:fs";
+import path from "node:path";
+import { CONFIG } from "../config.js";
+import {
+  downloadFile,
+  normalizeUrl,
+  stripHtml,
+  decodeHtmlEntities,
+} from "./utils.js";
+import { fetchWPData, toOriginalDate } from "./functions.js";
+import { htmlToMarkdown } from "./html-to-markdown.js";
+import {
+  parseMarkdownToObject,
+  splitLayout,
+} from "./parse-markdown-to-object.js";
+import { toLinkKey, toPath, rewriteMarkdownLinks } from "./links.js";
+import { fetchFeaturedMedia } from "./media.js";
+import { buildSeo } from "./seo.js";
+import { mapSettled } from "./http.js";
+import { logger } from "./logger.js";
+import { progress } from "./progress.js";
+
+const toPosix = (filePath) => filePath.split(path.sep).join("/");
+
+// "./" keeps a sibling file from reading as a bare word in Blocks links
+function toRelative(fromDir, filePath) {
+  const relative = path.posix.relative(fromDir, filePath);
+  return relative.startsWith("../") ? relative : `./${relative}`;
+}
+
+// Safe on every filesystem, keeping the extension
+function toAssetName(filename) {
+  let decoded = filename;
+  try {
+    decoded = decodeURIComponent(filename);
+  } catch {
+    // Malformed escapes are sanitized as they are
+  }
+  return decoded.replace(/[^\w.-]+/g, "-").replace(/^-+|-+$/g, "") || "asset";
+}
+
+// Downloads each image once into assetsDir. Resolves store(src, fromDir)
+// with the data htmlToMarkdown and parseMarkdownToObject expect, its url
+// relative to fromDir (a directory of the export).
+function createAssetStore(outputDir) {
+  const assetsDir = path.join(outputDir, CONFIG.EXPORT.ASSETS_DIR);
+  const byUrl = new Map();
+  const byHash = new Map();
+  const names = new Set();
+
+  const download = async (src) => {
+    const { file, hash } = await downloadFile(src);
+    if (byHash.has(hash)) return byHash.get(hash);
+
+    // Different files under the same name get their hash as a prefix
+    let name = toAssetName(file.name);
+    if (names.has(name)) name = `${hash.slice(0, 8)}-${name}`;
+    names.add(name);
+
+    fs.mkdirSync(assetsDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(assetsDir, name),
+      Buffer.from(await file.arrayBuffer())
+    );
+    const asset = {
+      path: toPosix(path.join(CONFIG.EXPORT.ASSETS_DIR, name)),
+      name,
+      mime: file.type,
+      size: file.size,
+    };
+    byHash.set(hash, asset);
+    return asset;
+  };
+
+  return {
+    async store(src, fromDir) {
+      const key = normalizeUrl(src);
+      // Concurrent posts sharing an image wait on the same download
+      if (!byUrl.has(key)) byUrl.set(key, download(key));
+      const asset = await byUrl.get(key).catch((error) => {
+        byUrl.delete(key);
+        throw error;
+      });
+
+      const url = path.posix.relative(fromDir, asset.path);
+      return {
+        url,
+        filename: asset.name,
+        file: { name: asset.name, url, mime: asset.mime, size: asset.size },
+      };
+    },
+  };
+}
+
+async function fetchNames(collection) {
+  const items = await fetchWPData(
+    CONFIG.WP.BASE_URL,
+    `${CONFIG.WP.API_PATH}/${collection}`,
+    { perPage: CONFIG.MIGRATION.PER_PAGE }
+  );
+  return new Map(
+    items.map((item) => [item.id, decodeHtmlEntities(item.name)])
+  );
+}
+
+// Where each entry is written, relative to the export directory: posts by
+// slug, pages along their WordPress path so the hierarchy shows
+function toExportPath(entity) {
+  if (entity.type === "page") {
+    return `pages/${toPath(entity.link) || entity.slug}.md`;
+  }
+  return `${entity.type || "post"}s/${entity.slug}.md`;
+}
+
+const yamlScalar = (value) =>
+  typeof value === "string" ? JSON.stringify(value) : String(value ?? null);
+
+// Front matter needs no more YAML than scalars, lists of scalars and maps;
+// JSON strings are valid double-quoted YAML strings
+function toYaml(values, indent = "") {
+  return Object.entries(values)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => {
+      if (Array.isArray(value)) {
+        if (value.length === 0) return `${indent}${key}: []`;
+        const items = value.map((item) => `${indent}  - ${yamlScalar(item)}`);
+        return `${indent}${key}:\n${items.join("\n")}`;
+      }
+      if (value && typeof value === "object") {
+        return `${indent}${key}:\n${toYaml(value, `${indent}  `)}`;
+      }
+      return `${indent}${key}: ${yamlScalar(value)}`;
+    })
+    .join("\n");
+}
+
+async function exportCoverImage(entity, assets, dir, report) {
+  if (!entity.featured_media) return undefined;
+  try {
+    const media = await fetchFeaturedMedia(entity);
+    return (await assets.store(media.source_url, dir)).url;
+  } catch (error) {
+    report.warnings.push(`Featured image failed: ${error.message}`);
+    return undefined;
+  }
+}
+
+function writeFile(outputDir, relativePath, content) {
+  const filePath = path.join(outputDir, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+// Converts an entry's HTML, downloading its images, and gathers its front
+// matter. Links are rewritten later, once every entry that converted is known.
+async function convertEntity(entity, context) {
+  const { assets, files, names, log } = context;
+  const file = files.get(entity.id);
+  const dir = path.posix.dirname(file);
+  const report = { images: [], warnings: [] };
+
+  const images = new Map();
+  const markdown = await htmlToMarkdown(entity.content.rendered, {
+    images,
+    report,
+    log,
+    assets: { store: (src) => assets.store(src, dir) },
+  });
+
+  const isPage = entity.type === "page";
+  const frontMatter = {
+    title: decodeHtmlEntities(stripHtml(entity.title.rendered)),
+    slug: entity.slug,
+    wpId: entity.id,
+    type: entity.type || "post",
+    status: entity.status,
+    date: toOriginalDate(entity),
+    modified: entity.modified_gmt ? `${entity.modified_gmt}Z` : undefined,
+    excerpt: isPage
+      ? undefined
+      : decodeHtmlEntities(stripHtml(entity.excerpt?.rendered)),
+    author: names.authors.get(entity.author),
+    categories: entity.categories
+      ?.map((id) => names.categories.get(id))
+      .filter(Boolean),
+    tags: entity.tags?.map((id) => names.tags.get(id)).filter(Boolean),
+    coverImage: await exportCoverImage(entity, assets, dir, report),
+    ...(isPage && {
+      // Filled in with the parent's file once it's known to be written
+      parent: undefined,
+      menuOrder: entity.menu_order ?? 0,
+      template: entity.template || undefined,
+    }),
+    // A dry run leaves the OG image out rather than uploading it
+    seo: (await buildSeo(entity, { dryRun: true, log })) ?? undefined,
+  };
+
+  return { entity, file, dir, markdown, images, frontMatter, report };
+}
+
+// Writes a converted entry with its internal links pointing at the other
+// written files; byPermalink maps their link keys to their files
+async function writeEntity(converted, byPermalink, parents, outputDir) {
+  const { entity, file, dir, markdown, images, frontMatter, report } =
+    converted;
+
+  // Link targets are made relative to this entry's own file
+  const unresolved = [];
+  const links = {
+    byPermalink: {
+      get: (key) =>
+        byPermalink.has(key)
+          ? toRelative(dir, byPermalink.get(key))
+          : undefined,
+    },
+    routes: new Set(),
+  };
+  const content = rewriteMarkdownLinks(markdown, links, unresolved);
+  const { blocks, layout, hasComponents } = splitLayout(
+    await parseMarkdownToObject(content, {
+      images,
+      lookupUploads: false,
+    })
+  );
+
+  const parentFile = parents.get(entity.parent);
+  if (entity.type === "page" && parentFile) {
+    frontMatter.parent = path.posix.relative(dir, parentFile);
+  }
+
+  const blocksFile = file.replace(/\.md$/, ".blocks.json");
+  const layoutFile = hasComponents
+    ? file.replace(/\.md$/, ".layout.json")
+    : undefined;
+  writeFile(
+    outputDir,
+    file,
+    `---\n${toYaml(frontMatter)}\n---\n\n${content.trim()}\n`
+  );
+  writeFile(outputDir, blocksFile, JSON.stringify(blocks, null, 2));
+  if (layoutFile) {
+    writeFile(outputDir, layoutFile, JSON.stringify(layout, null, 2));
+  }
+
+  return {
+    wpId: entity.id,
+    slug: entity.slug,
+    type: frontMatter.type,
+    file,
+    blocksFile,
+    layoutFile,
+    unresolved: [...new Set(unresolved)],
+    ...report,
+  };
+}
+
+// Rejections carry the entity's id so failures can be listed
+async function settleEntity(entity, task) {
+  const log = logger.child({
+    type: entity.type || "post",
+    wpId: entity.id,
+    slug: entity.slug,
+  });
+  try {
+    return await task(log);
+  } catch (error) {
+    progress.increment("failed");
+    log.error("Failed to export entity", { error });
+    throw new Error(`Failed to export entity ${entity.id}: ${error.message}`);
+  }
+}
+
+// Writes every post and page as Markdown with YAML front matter, its Strapi
+// Blocks next to it as .blocks.json (and .layout.json when it holds tables
+// or embeds), images under EXPORT.ASSETS_DIR and internal links pointing at
+// the other exported files. Entries that fail to convert aren't linked to.
+// An index.json lists what was written.
+// Gutenberg blocks aren't converted here; the rendered HTML is.
+export async function exportToFiles({ posts, pages }, options = {}) {
+  const { outputDir = CONFIG.EXPORT.DIR } = options;
+  const entities = [...posts, ...pages];
+  const assets = createAssetStore(outputDir);
+  const files = new Map(
+    entities.map((entity) => [entity.id, toExportPath(entity)])
+  );
+
+  const { TAXONOMIES, AUTHORS } = CONFIG.MIGRATION;
+  const names = {
+    categories: TAXONOMIES ? await fetchNames("categories") : new Map(),
+    tags: TAXONOMIES ? await fetchNames("tags") : new Map(),
+    authors: AUTHORS ? await fetchNames("users") : new Map(),
+  };
+
+  progress.start("Exporting", entities.length);
+  const conversions = await mapSettled(
+    entities,
+    CONFIG.MIGRATION.CONCURRENCY,
+    async (entity) => {
+      try {
+        return await settleEntity(entity, (log) =>
+          convertEntity(entity, { assets, files, names, log })
+        );
+      } finally {
+        progress.increment("done");
+      }
+    }
+  );
+  progress.stop();
+
+  const converted = conversions
+    .filter((result) => result.status === "fulfilled")
+    .map((result) => result.value);
+  const byPermalink = new Map();
+  const parents = new Map();
+  converted.forEach(({ entity, file }) => {
+    parents.set(entity.id, file);
+    const shortlink =
+      entity.type === "page" ? `/?page_id=${entity.id}` : `/?p=${entity.id}`;
+    [entity.link, shortlink].forEach((href) => {
+      const key = href && toLinkKey(href);
+      if (key) byPermalink.set(key, file);
+    });
+  });
+
+  const writes = await mapSettled(
+    converted,
+    CONFIG.MIGRATION.CONCURRENCY,
+    (entry) =>
+      settleEntity(entry.entity, () =>
+        writeEntity(entry, byPermalink, parents, outputDir)
+      )
+  );
+
+  const results = [...conversions, ...writes];
+  const exported = writes
+    .filter((result) => result.status === "fulfilled")
+    .map((result) => result.value);
+  const failures = results
+    .filter((result) => result.status === "rejected")
+    .map((result) => result.reason.message);
+  const index = {
+    generatedAt: new Date().toISOString(),
+    source: CONFIG.WP.BASE_URL,
+    entries: exported,
+    failures,
+  };
+  writeFile(outputDir, "index.json", JSON.stringify(index, null, 2));
+
+  logger.info(`Exported ${exported.length}/${entities.length} entries`, {
+    outputDir: path.resolve(outputDir),
+    failed: failures.length,
+    unresolvedLinks: exported.reduce(
+      (count, entry) => count + entry.unresolved.length,
+      0
+    ),
+  });
+  return index;
+}
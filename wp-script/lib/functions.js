@@ -1,69 +1,409 @@
 import { CONFIG } from "../config.js";
-import { validateConfig } from "./utils.js";
+import {
+  validateConfig,
+  hashContent,
+  wpHeaders,
+  stripHtml,
+  decodeHtmlEntities,
+} from "./utils.js";
 
-import { parseMarkdownToObject } from "./parse-markdown-to-object.js";
+import {
+  parseMarkdownToObject,
+  splitLayout,
+} from "./parse-markdown-to-object.js";
 import { htmlToMarkdown } from "./html-to-markdown.js";
+import { collectConversionWarnings } from "./dry-run.js";
+import { request, mapSettled } from "./http.js";
+import {
+  fetchExistingEntries,
+  findExistingEntry,
+  fetchStrapiEntry,
+  saveStrapiEntry,
+} from "./strapi.js";
+import { migrateFeaturedImage } from "./media.js";
+import { buildSeo } from "./seo.js";
+import { convertGutenbergContent } from "./gutenberg.js";
+import { hashMappedSource, buildMappedPayload } from "./mapping.js";
+import { logger } from "./logger.js";
+import { progress } from "./progress.js";
+
+// WordPress caps per_page at 100
+const WP_MAX_PER_PAGE = 100;
+
+// Maps our option names to the WordPress REST query params they filter on
+const WP_FILTER_PARAMS = {
+  after: "after",
+  modifiedAfter: "modified_after",
+  status: "status",
+  // e.g. "wp:featuredmedia" to inline linked resources in each item
+  embed: "_embed",
+  // "edit" exposes drafts, private posts and raw content; requires credentials
+  context: "context",
+};
+
+function buildWPUrl(BASE_URL, POSTS_PATH, params = {}) {
+  const url = new URL(POSTS_PATH, BASE_URL);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === "") return;
+    url.searchParams.set(
+      key,
+      Array.isArray(value) ? value.join(",") : String(value)
+    );
+  });
+  return url.href;
+}
+
+// Walks every page of a WordPress collection and yields each one as it arrives
+async function* fetchWPPages(BASE_URL, POSTS_PATH, options = {}) {
+  const perPage = Math.min(options.perPage || WP_MAX_PER_PAGE, WP_MAX_PER_PAGE);
+
+  const filters = {};
+  Object.entries(WP_FILTER_PARAMS).forEach(([option, param]) => {
+    const value = options[option];
+    filters[param] = value instanceof Date ? value.toISOString() : value;
+  });
+
+  let page = 1;
+  let totalPages = 1;
+
+  do {
+    const url = buildWPUrl(BASE_URL, POSTS_PATH, {
+      ...filters,
+      per_page: perPage,
+      page,
+    });
+
+    const response = await request(url, { headers: wpHeaders() });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(
+        `Failed to fetch ${url}: ${response.status}, details: ${JSON.stringify(
+          errorData
+        )}`
+      );
+    }
+
+    const items = await response.json();
+    const total = Number(response.headers.get("X-WP-Total")) || items.length;
+    totalPages = Number(response.headers.get("X-WP-TotalPages")) || 1;
+
+    yield { page, totalPages, total, items };
+    page++;
+  } while (page <= totalPages);
+}
+
+async function fetchWPData(BASE_URL, POSTS_PATH, options = {}) {
+  const data = [];
+
+  for await (const result of fetchWPPages(BASE_URL, POSTS_PATH, options)) {
+    data.push(...result.items);
+    logger.info(`Fetched page ${result.page}/${result.totalPages}`, {
+      path: POSTS_PATH,
+      items: `${data.length}/${result.total}`,
+    });
+    if (options.onPage) await options.onPage(result);
+  }
 
-async function fetchWPData(BASE_URL, POSTS_PATH) {
-  const url = new URL(POSTS_PATH, BASE_URL).href;
-  const response = await fetch(url);
-  const data = await response.json();
   return data;
 }
 
-async function importWPData(data) {
+// date_gmt has no zone designator, so mark it as UTC explicitly
+function toOriginalDate(entity) {
+  if (entity.date_gmt) return `${entity.date_gmt}Z`;
+  return entity.date ? new Date(entity.date).toISOString() : null;
+}
+
+// Maps WordPress term IDs to Strapi documentIds, dropping terms we don't know
+function toDocumentIds(wpIds = [], documentIds) {
+  return wpIds.map((id) => documentIds.get(id)).filter(Boolean);
+}
+
+// Pages keep their place in the page tree. parents maps WP page ID ->
+// documentId; parents left out of this run are looked up among existing pages.
+function toPageFields(entity, parents, existing) {
+  const parent =
+    parents?.get(entity.parent) ||
+    existing?.byWpId.get(entity.parent)?.documentId;
+  return {
+    parent: parent || null,
+    menuOrder: entity.menu_order ?? 0,
+    template: entity.template || null,
+  };
+}
+
+// Only posts have an excerpt and a cover image; the page schema has neither
+async function toPostFields(entity, { dryRun, report, log }) {
+  const coverImage = await migrateFeaturedImage(entity, {
+    dryRun,
+    report,
+    log,
+  });
+  return {
+    excerpt: decodeHtmlEntities(stripHtml(entity.excerpt?.rendered)),
+    ...(coverImage !== undefined && { coverImage }),
+  };
+}
+
+// The state only skips a post while the document it recorded still exists,
+// so one deleted in Strapi gets imported again. existing is null in create
+// mode, where the document is looked up on its own.
+async function isStillImported(context, entity, sourceHash, match) {
+  const { state, existing, apiPath } = context;
+  if (!state?.isImported(entity, sourceHash)) return false;
+
+  const { documentId } = state.get(entity);
+  if (existing) return match?.documentId === documentId;
+  const document = await fetchStrapiEntry(apiPath, documentId, {
+    status: "draft",
+  });
+  return Boolean(document);
+}
+
+function hasGutenbergBlocks(entity, gutenberg) {
+  return gutenberg && Boolean(entity.content.raw?.includes("<!-- wp:"));
+}
+
+function toTitle(entity) {
+  return decodeHtmlEntities(stripHtml(entity.title.rendered));
+}
+
+function hashPostSource(entity) {
+  return hashContent({
+    title: toTitle(entity),
+    slug: entity.slug,
+    content: entity.content.rendered,
+    categories: entity.categories,
+    tags: entity.tags,
+    author: entity.author,
+    featuredMedia: entity.featured_media,
+    excerpt: entity.excerpt?.rendered,
+    status: entity.status,
+    modified: entity.modified_gmt,
+    ...(entity.type === "page" && {
+      parent: entity.parent,
+      menuOrder: entity.menu_order,
+      template: entity.template,
+    }),
+  });
+}
+
+// Converts a post or page into the fields of the post and page collections.
+// Resolves with { payload, markdown, blocks }, the last two for dry-run checks.
+async function buildPostPayload(entity, context) {
+  const { dryRun, report, log, gutenberg, taxonomies, authors } = context;
+  const images = new Map();
+  const markdown = await htmlToMarkdown(entity.content.rendered, {
+    images,
+    dryRun,
+    report,
+    log,
+  });
+  const usesGutenberg = hasGutenbergBlocks(entity, gutenberg);
+  const converted = usesGutenberg
+    ? await convertGutenbergContent(entity.content.raw, {
+        images,
+        dryRun,
+        report,
+        log,
+      })
+    : splitLayout(
+        await parseMarkdownToObject(markdown, {
+          images,
+          lookupUploads: !dryRun,
+        })
+      );
+  const seo = await buildSeo(entity, { dryRun, report, log });
+
+  const payload = {
+    title: toTitle(entity),
+    slug: entity.slug,
+    content: markdown,
+    blocksContent: converted.blocks,
+    ...(taxonomies && {
+      categories: toDocumentIds(entity.categories, taxonomies.categories),
+      tags: toDocumentIds(entity.tags, taxonomies.tags),
+    }),
+    ...(authors && { author: authors.get(entity.author) || null }),
+    ...(entity.type === "page"
+      ? toPageFields(entity, context.parents, context.existing)
+      : await toPostFields(entity, context)),
+    originalDate: toOriginalDate(entity),
+    ...(seo && { seo }),
+    // Components such as tables and embeds only fit in the layout
+    ...((usesGutenberg || converted.hasComponents) && {
+      layout: converted.layout,
+    }),
+  };
+
+  return { payload, markdown, blocks: converted.layout };
+}
+
+function summarizeImport(results) {
+  const summary = { created: 0, updated: 0, skipped: 0, failed: 0 };
+  results.forEach((result) => {
+    if (result.status === "rejected") summary.failed++;
+    else summary[result.value.action]++;
+  });
+  return summary;
+}
+
+// Saves WordPress entries into the apiPath collection and resolves with one
+// settled result per entry. dryRun converts everything but writes nothing,
+// resolving with the planned actions instead.
+async function importWPData(data, options = {}) {
   if (!Array.isArray(data)) throw new Error("Input data must be an array");
 
-  const url = new URL(CONFIG.API.POSTS_PATH, CONFIG.API.BASE_URL).href;
+  const {
+    // "upsert" updates entries already in Strapi, "create" always POSTs
+    mode = "upsert",
+    dryRun = false,
+    concurrency = CONFIG.MIGRATION.CONCURRENCY,
+    // A MigrationStateManager; retryFailed limits the run to the entries that
+    // failed last time
+    state = null,
+    retryFailed = false,
+    // { categories, tags } maps of WP term ID -> documentId
+    taxonomies = null,
+    // WP user ID -> documentId
+    authors = null,
+    // Convert the block comments of content.raw, fetched with context=edit
+    gutenberg = CONFIG.MIGRATION.GUTENBERG,
+    apiPath = CONFIG.API.POSTS_PATH,
+    // WP page ID -> documentId, so parent pages go in before their children
+    parents = null,
+    // One type of a mapping file, whose fields replace the post fields
+    mapping = null,
+  } = options;
+  // Every document has a draft version, so this also finds published ones
+  const existing =
+    mode === "upsert"
+      ? await fetchExistingEntries(apiPath, { status: "draft" })
+      : null;
+
+  const entities = retryFailed
+    ? data.filter((entity) => state?.isFailed(entity))
+    : data;
+  if (state && !dryRun) entities.forEach((entity) => state.markPending(entity));
+
+  const collection = apiPath.split("/").pop();
+  progress.start(
+    `${dryRun ? "Converting" : "Importing"} ${collection}`,
+    entities.length
+  );
+
+  const results = await mapSettled(
+    entities,
+    concurrency,
+    async (entity) => {
+      const log = logger.child({
+        type: entity.type || "post",
+        wpId: entity.id,
+        slug: entity.slug,
+      });
 
-  const results = await Promise.allSettled(
-    data.map(async (entity) => {
       try {
-        const markdown = await htmlToMarkdown(entity.content.rendered);
-        const json = await parseMarkdownToObject(markdown);
-
-        const response = await fetch(url, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            data: {
-              title: entity.title.rendered,
-              slug: entity.slug,
-              content: markdown,
-              blocksContent: json,
-            },
-          }),
-        });
+        const sourceHash = mapping
+          ? hashMappedSource(entity, mapping)
+          : hashPostSource(entity);
+        const match = findExistingEntry(existing, entity);
 
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-          throw new Error(
-            `HTTP error! status: ${response.status}, details: ${JSON.stringify(
-              errorData
-            )}`
-          );
+        const imported = await isStillImported(
+          { state, existing, apiPath },
+          entity,
+          sourceHash,
+          match
+        );
+        if (imported) {
+          return {
+            action: "skipped",
+            wpId: entity.id,
+            slug: entity.slug,
+            documentId: state.get(entity).documentId,
+          };
         }
 
-        return await response.json();
+        if (match && match.sourceHash === sourceHash) {
+          if (!dryRun) {
+            state?.markImported(entity, {
+              documentId: match.documentId,
+              sourceHash,
+            });
+          }
+          return {
+            action: "skipped",
+            wpId: entity.id,
+            slug: entity.slug,
+            documentId: match.documentId,
+          };
+        }
+
+        const report = { images: [], warnings: [] };
+        const { payload, markdown, blocks } = mapping
+          ? await buildMappedPayload(entity, mapping, { dryRun, report, log })
+          : await buildPostPayload(entity, {
+              dryRun,
+              report,
+              log,
+              gutenberg,
+              taxonomies,
+              authors,
+              parents,
+              existing,
+            });
+
+        if (dryRun) {
+          if (markdown !== undefined) {
+            report.warnings.push(
+              ...collectConversionWarnings(entity, markdown, blocks)
+            );
+          }
+          return {
+            action: match ? "updated" : "created",
+            wpId: entity.id,
+            slug: entity.slug,
+            documentId: match?.documentId,
+            ...report,
+          };
+        }
+
+        const responseData = await saveStrapiEntry(
+          apiPath,
+          match?.documentId,
+          { ...payload, wpId: entity.id, sourceHash },
+          // Only WordPress "publish" posts go live; everything else stays a draft
+          { status: entity.status === "publish" ? "published" : undefined }
+        );
+
+        state?.markImported(entity, {
+          documentId: responseData.data?.documentId,
+          sourceHash,
+        });
+        return {
+          action: match ? "updated" : "created",
+          wpId: entity.id,
+          slug: entity.slug,
+          documentId: responseData.data?.documentId,
+          response: responseData,
+        };
       } catch (error) {
+        if (!dryRun) state?.markFailed(entity, error);
+        progress.increment("failed");
+        log.error("Failed to process entity", { error });
         throw new Error(
           `Failed to process entity ${entity.id}: ${error.message}`
         );
+      } finally {
+        progress.increment("done");
       }
-    })
+    }
   );
+  progress.stop();
 
-  const failures = results.filter((result) => result.status === "rejected");
-  if (failures.length > 0) {
-    console.error(
-      "Some imports failed:",
-      failures.map((f) => f.reason)
-    );
-  }
+  logger.info(`Import summary for ${collection}`, summarizeImport(results));
 
   return results;
 }
 
 validateConfig();
 
-export { fetchWPData, importWPData };
+export { fetchWPData, fetchWPPages, importWPData, toOriginalDate };
@@ -0,0 +1,252 @@
+import {
+  normalizeUrl,
+  stripHtml,
+  decodeHtmlEntities,
+  parseInlineParagraphFormatting,
+} from "./utils.js";
+import { htmlToMarkdown } from "./html-to-markdown.js";
+import {
+  parseMarkdownToObject,
+  splitLayout,
+} from "./parse-markdown-to-object.js";
+import { uploadMedia } from "./media.js";
+import { ImageCacheManager } from "./image-cache.js";
+import { detectEmbedProvider } from "./embeds.js";
+import { logger } from "./logger.js";
+
+// Opening <!-- wp:name {"attrs"} -->, closing <!-- /wp:name --> and
+// self-closing <!-- wp:name /--> block comments
+const BLOCK_COMMENT =
+  /<!--\s+(\/)?wp:([a-z][a-z0-9_-]*\/)?([a-z][a-z0-9_-]*)\s+(\{[\s\S]*?\}\s+)?(\/)?-->/g;
+const IMAGE_SRC = /<img\b[^>]*?\ssrc="([^"]+)"/gi;
+
+const blockHandlers = new Map();
+
+// Handlers receive (block, context) and resolve with Blocks nodes and/or
+// dynamic-zone components (objects with a __component key). Registering a
+// name again replaces its handler.
+export function registerBlockHandler(name, handler) {
+  blockHandlers.set(name, handler);
+}
+
+function createBlock(namespace, name, attrs) {
+  return {
+    // Blocks without a namespace belong to core, as in WordPress' own parser
+    name: `${namespace || "core/"}${name}`,
+    attrs: attrs ? JSON.parse(attrs) : {},
+    innerBlocks: [],
+    // HTML fragments, with null where each inner block sits
+    innerContent: [],
+  };
+}
+
+// Parses post_content into a tree of blocks. HTML outside any block comment
+// becomes a freeform block with a null name.
+export function parseGutenbergBlocks(raw = "") {
+  const output = [];
+  const stack = [];
+  let lastIndex = 0;
+
+  const pushHtml = (html) => {
+    const parent = stack[stack.length - 1];
+    if (parent) parent.innerContent.push(html);
+    else if (html.trim()) {
+      output.push({
+        name: null,
+        attrs: {},
+        innerBlocks: [],
+        innerContent: [html],
+      });
+    }
+  };
+
+  const pushBlock = (block) => {
+    block.innerHTML = block.innerContent.filter(Boolean).join("");
+    const parent = stack[stack.length - 1];
+    if (!parent) {
+      output.push(block);
+      return;
+    }
+    parent.innerBlocks.push(block);
+    parent.innerContent.push(null);
+  };
+
+  for (const match of raw.matchAll(BLOCK_COMMENT)) {
+    const [comment, closer, namespace, name, attrs, selfClosing] = match;
+    pushHtml(raw.slice(lastIndex, match.index));
+    lastIndex = match.index + comment.length;
+
+    if (closer) {
+      // A stray closer has nothing to end; unbalanced markup is left as is
+      if (stack.length > 0) pushBlock(stack.pop());
+    } else if (selfClosing) {
+      pushBlock(createBlock(namespace, name, attrs));
+    } else {
+      stack.push(createBlock(namespace, name, attrs));
+    }
+  }
+
+  pushHtml(raw.slice(lastIndex));
+  while (stack.length > 0) pushBlock(stack.pop());
+
+  return output;
+}
+
+function findImageSources(html = "") {
+  return Array.from(html.matchAll(IMAGE_SRC), ([, src]) =>
+    decodeHtmlEntities(src)
+  );
+}
+
+function findCaption(html = "") {
+  const caption = html.match(/<figcaption[^>]*>([\s\S]*?)<\/figcaption>/i);
+  return caption ? decodeHtmlEntities(stripHtml(caption[1])) || null : null;
+}
+
+// Converts an HTML fragment the way non-Gutenberg content is converted
+async function convertHtml(html, context) {
+  if (!stripHtml(html) && !/<(img|hr)\b/i.test(html)) return [];
+
+  const markdown = await htmlToMarkdown(html, context);
+  if (!markdown.trim()) return [];
+  return parseMarkdownToObject(markdown, {
+    images: context.images,
+    lookupUploads: !context.dryRun,
+  });
+}
+
+// Fallback for blocks without a handler: their own HTML through the regular
+// converter, with inner blocks converted in place
+async function convertFallback(block, context) {
+  if (block.name && !block.innerHTML && block.innerBlocks.length === 0) {
+    // Dynamic blocks (latest posts, archives...) are rendered by PHP on request
+    context.report?.warnings.push(
+      `Dynamic block ${block.name} has no saved content and was skipped`
+    );
+    return [];
+  }
+
+  const items = [];
+  let innerIndex = 0;
+  for (const part of block.innerContent) {
+    if (part === null) {
+      const inner = block.innerBlocks[innerIndex++];
+      items.push(...(await convertBlock(inner, context)));
+    } else {
+      items.push(...(await convertHtml(part, context)));
+    }
+  }
+  return items;
+}
+
+async function convertBlock(block, context) {
+  const handler = block.name && blockHandlers.get(block.name);
+  const result = handler
+    ? await handler(block, context)
+    : await convertFallback(block, context);
+  return [].concat(result ?? []);
+}
+
+async function convertBlocks(blocks, context) {
+  const items = [];
+  for (const block of blocks) {
+    items.push(...(await convertBlock(block, context)));
+  }
+  return items;
+}
+
+// Layout-only wrappers: keep what's inside, drop the columns themselves
+const convertInnerBlocks = (block, context) =>
+  convertBlocks(block.innerBlocks, context);
+
+registerBlockHandler("core/columns", convertInnerBlocks);
+registerBlockHandler("core/column", convertInnerBlocks);
+registerBlockHandler("core/group", convertInnerBlocks);
+registerBlockHandler("core/buttons", convertInnerBlocks);
+
+registerBlockHandler("core/pullquote", async (block, context) => {
+  const html = block.innerHTML;
+  const paragraphs = html.match(/<p[^>]*>[\s\S]*?<\/p>/gi) || [];
+  const cite = html.match(/<cite[^>]*>([\s\S]*?)<\/cite>/i);
+
+  const quoteHtml = paragraphs.join("") || stripHtml(html);
+  if (!quoteHtml) return [];
+
+  const markdown = await htmlToMarkdown(quoteHtml, context);
+  let text = markdown.replace(/\s*\n+\s*/g, " ").trim();
+  if (cite) text += ` — ${decodeHtmlEntities(stripHtml(cite[1]))}`;
+
+  return { type: "quote", children: parseInlineParagraphFormatting(text) };
+});
+
+registerBlockHandler("core/button", (block) => {
+  const link = block.innerHTML.match(
+    /<a\b[^>]*?\shref="([^"]*)"[^>]*>([\s\S]*?)<\/a>/i
+  );
+  if (!link) return [];
+
+  return {
+    __component: "shared.button",
+    label: decodeHtmlEntities(stripHtml(link[2])),
+    url: decodeHtmlEntities(link[1]),
+  };
+});
+
+registerBlockHandler("core/embed", (block) => {
+  const url = block.attrs.url || stripHtml(block.innerHTML).split(/\s/)[0];
+  if (!url) return [];
+
+  return {
+    __component: "shared.embed",
+    url,
+    provider: block.attrs.providerNameSlug || detectEmbedProvider(url),
+    caption: findCaption(block.innerHTML),
+  };
+});
+
+// Newer galleries nest core/image blocks, older ones hold a <ul> of images
+registerBlockHandler("core/gallery", async (block, context) => {
+  const sources = [
+    ...findImageSources(block.innerHTML),
+    ...block.innerBlocks.flatMap((inner) => findImageSources(inner.innerHTML)),
+  ];
+  const images = [];
+
+  for (const src of sources) {
+    if (context.dryRun) {
+      const cached = ImageCacheManager.getInstance().has(normalizeUrl(src));
+      context.report?.images.push({
+        src,
+        status: cached ? "cached" : "upload",
+      });
+      continue;
+    }
+
+    try {
+      images.push((await uploadMedia(src)).id);
+    } catch (error) {
+      (context.log ?? logger).error("Failed to upload gallery image", {
+        src,
+        error,
+      });
+      context.report?.warnings.push(
+        `Gallery image failed: ${src} (${error.message})`
+      );
+    }
+  }
+
+  return {
+    __component: "shared.gallery",
+    images,
+    caption: findCaption(block.innerHTML),
+  };
+});
+
+// Converts Gutenberg post_content (content.raw) into Strapi Blocks nodes and a
+// layout dynamic zone, split as by splitLayout.
+// Options are those of htmlToMarkdown: { images, dryRun, report }.
+export async function convertGutenbergContent(raw, options = {}) {
+  const context = { images: new Map(), ...options };
+  const items = await convertBlocks(parseGutenbergBlocks(raw), context);
+  return splitLayout(items);
+}
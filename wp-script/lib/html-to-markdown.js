@@ -5,18 +5,94 @@ import {
   getFilename,
   normalizeUrl,
   normalizeFilename,
-  downloadAndUploadFile,
 } from "./utils.js";
 
 import { ImageCacheManager } from "../lib/image-cache.js";
+import { resolveMedia } from "./media.js";
+import { expandShortcodes } from "./shortcodes.js";
+import { toEmbedUrl } from "./embeds.js";
+import { logger } from "./logger.js";
+import { progress } from "./progress.js";
 
-export async function htmlToMarkdown(html) {
+// Markdown table cells are single-line and use | as the separator
+const toTableCell = (content) =>
+  content.replace(/\s*\n+\s*/g, " ").replace(/\|/g, "\\|").trim();
+
+// GFM pipe tables; the first row is the header, as GFM requires one
+function addTableRules(turndownService) {
+  turndownService.addRule("tableCell", {
+    filter: ["th", "td"],
+    replacement: (content) => ` ${toTableCell(content)} |`,
+  });
+
+  turndownService.addRule("tableRow", {
+    filter: "tr",
+    replacement: (content) => `\n|${content}`,
+  });
+
+  turndownService.addRule("table", {
+    filter: "table",
+    replacement: (content, node) => {
+      const rows = content.split("\n").filter((row) => row.trim());
+      if (rows.length === 0) return "";
+
+      const columns = node.querySelector("tr")?.children.length || 1;
+      const separator = `|${" --- |".repeat(columns)}`;
+      return `\n\n${[rows[0], separator, ...rows.slice(1)].join("\n")}\n\n`;
+    },
+  });
+
+  // Sections only group rows; the table rule lays them out
+  turndownService.addRule("tableSection", {
+    filter: ["thead", "tbody", "tfoot"],
+    replacement: (content) => content,
+  });
+}
+
+// Embeds become a bare URL on its own line, the way WordPress stores them and
+// what parseMarkdownToObject turns into an embed component
+function addEmbedRules(turndownService) {
+  turndownService.addRule("iframeEmbed", {
+    filter: "iframe",
+    replacement: (content, node) => {
+      const src = node.getAttribute("src");
+      return src ? `\n\n<${toEmbedUrl(src)}>\n\n` : "";
+    },
+  });
+
+  // Twitter and Instagram embed HTML is a blockquote plus a script
+  turndownService.addRule("socialEmbed", {
+    filter: (node) =>
+      node.nodeName === "BLOCKQUOTE" &&
+      /\b(twitter-tweet|instagram-media)\b/.test(node.className),
+    replacement: (content, node) => {
+      const links = [...node.querySelectorAll("a[href]")].map((link) =>
+        link.getAttribute("href")
+      );
+      const url =
+        links.find((href) => /\/(status|p|reel)\//.test(href)) || links.pop();
+      return url ? `\n\n<${url}>\n\n` : content;
+    },
+  });
+
+  turndownService.remove("script");
+}
+
+// Expands shortcodes, then fills options.images (Strapi URL -> upload data)
+// for parseMarkdownToObject. With options.dryRun nothing is uploaded;
+// options.report collects image outcomes and warnings for the migration plan.
+// options.log is the logger of the post being converted. options.assets
+// replaces the upload: its store(src) resolves with { url, filename, file }
+// of a copy kept elsewhere, as file exports do.
+export async function htmlToMarkdown(html, options = {}) {
   if (!html || typeof html !== "string") {
     throw new Error("Invalid HTML input");
   }
 
   try {
     const turndownService = new TurndownService();
+    addTableRules(turndownService);
+    addEmbedRules(turndownService);
 
     turndownService.addRule("imageParser", {
       filter: ["img", "a"],
@@ -46,30 +122,45 @@ export async function htmlToMarkdown(html) {
           return `![${alt || "image"}](${src}${title ? ` "${title}"` : ""})`;
         }
 
-        // For regular links, use default behavior
-        return content;
+        // Regular links stay links so internal ones can be rewritten later
+        const href = node.getAttribute("href");
+        if (node.nodeName !== "A" || !href || !content.trim()) return content;
+
+        const title = node.getAttribute("title");
+        const target = href.replace(/[()]/g, (paren) => `\\${paren}`);
+        return `[${content}](${target}${title ? ` "${title}"` : ""})`;
       },
     });
 
-    // First convert to markdown with original URLs
-    const markdown = turndownService.turndown(html);
+    // Shortcodes expand to HTML, so they go first
+    const expanded = await expandShortcodes(html, options);
+
+    // Then convert to markdown with original URLs
+    const markdown = turndownService.turndown(expanded);
 
     // Then process all images in the markdown
-    const processedMarkdown = await processMarkdownImages(markdown);
+    const processedMarkdown = await processMarkdownImages(
+      markdown,
+      options.images,
+      options
+    );
     return processedMarkdown;
   } catch (error) {
-    console.error("Error converting HTML to Markdown:", error);
+    (options.log ?? logger).error("Error converting HTML to Markdown", {
+      error,
+    });
     throw error;
   }
 }
 
-async function processMarkdownImages(markdown) {
+async function processMarkdownImages(
+  markdown,
+  images = new Map(),
+  { dryRun = false, report, log = logger, assets } = {}
+) {
   const imageRegex = /!\[(.*?)\]\((.*?)(?:\s+"(.*?)")?\)/g;
   const cacheManager = ImageCacheManager.getInstance();
 
-  console.log("\n=== Processing Images ===");
-  console.log("Initial cache status:", cacheManager.getStats());
-
   const matches = Array.from(markdown.matchAll(imageRegex));
   let result = markdown;
   let stats = { processed: 0, cached: 0, uploaded: 0, failed: 0 };
@@ -80,20 +171,29 @@ async function processMarkdownImages(markdown) {
   for (const [fullMatch, alt, src, title] of matches) {
     try {
       stats.processed++;
+      progress.increment("images");
       const normalizedSrc = normalizeUrl(src);
+      log.debug("Processing image", { src, normalizedSrc });
 
-      // Debug logging
-      console.log(`Processing image: ${src}`);
-      console.log(`Normalized URL: ${normalizedSrc}`);
+      if (assets) {
+        const stored = await assets.store(normalizedSrc);
+        report?.images.push({ src, status: "downloaded" });
+        result = result.replace(
+          fullMatch,
+          createMarkdownImage(alt, stored, title, images)
+        );
+        continue;
+      }
 
       // Check cache first
       if (cacheManager.has(normalizedSrc)) {
         const cached = cacheManager.get(normalizedSrc);
         stats.cached++;
-        console.log(`Cache hit: ${cached.filename}`);
+        report?.images.push({ src, status: "cached" });
+        log.debug("Cache hit", { filename: cached.filename });
         result = result.replace(
           fullMatch,
-          createMarkdownImage(cached.filename, cached.url, title)
+          createMarkdownImage(alt, cached, title, images)
         );
         continue;
       }
@@ -105,62 +205,56 @@ async function processMarkdownImages(markdown) {
         const existingFile = processedFiles.get(normalizedSourceName);
 
         if (existingFile) {
-          console.log(
-            `Duplicate file detected: ${sourceFilename} matches ${existingFile.filename}`
-          );
+          log.debug("Duplicate file detected", {
+            filename: sourceFilename,
+            matches: existingFile.filename,
+          });
           // Use the existing file's data
-          cacheManager.set(normalizedSrc, existingFile);
+          if (!dryRun) cacheManager.set(normalizedSrc, existingFile);
           stats.cached++;
+          report?.images.push({ src, status: "cached" });
           result = result.replace(
             fullMatch,
-            createMarkdownImage(existingFile.filename, existingFile.url, title)
+            createMarkdownImage(alt, existingFile, title, images)
           );
           continue;
         }
       }
 
-      console.log(`Cache miss - uploading: ${normalizedSrc}`);
-      const response = await downloadAndUploadFile(
-        normalizedSrc,
-        `${CONFIG.API.BASE_URL}${CONFIG.API.UPLOAD_PATH}`
-      );
-      const [uploadData] = await response.json();
-
-      if (!uploadData?.url || !uploadData?.name) {
-        throw new Error("Invalid upload response format");
+      if (dryRun) {
+        report?.images.push({ src, status: "upload" });
+        continue;
       }
 
-      const uploadedImage = {
-        url: `${CONFIG.API.BASE_URL}${uploadData.url}`,
-        filename: uploadData.name,
-      };
+      log.debug("Cache miss, uploading", { src: normalizedSrc });
+      const { image, status } = await resolveMedia(normalizedSrc);
 
       // Store both the normalized filename and URL
       if (sourceFilename) {
-        processedFiles.set(normalizeFilename(uploadData.name), uploadedImage);
+        processedFiles.set(normalizeFilename(image.filename), image);
       }
-      cacheManager.set(normalizedSrc, uploadedImage);
-      stats.uploaded++;
+      stats[status]++;
+      report?.images.push({ src, status });
 
       result = result.replace(
         fullMatch,
-        createMarkdownImage(uploadedImage.filename, uploadedImage.url, title)
+        createMarkdownImage(alt, image, title, images)
       );
     } catch (error) {
-      console.error("Failed to process image:", src, error);
+      log.error("Failed to process image", { src, error });
       stats.failed++;
+      report?.images.push({ src, status: "failed" });
+      report?.warnings.push(`Image failed: ${src} (${error.message})`);
     }
   }
 
-  console.log("\n=== Processing Complete ===");
-  console.log("Stats:", {
-    ...stats,
-    cacheSize: cacheManager.getStats().size,
-  });
+  if (stats.processed > 0) log.debug("Images processed", stats);
 
   return result;
 }
 
-const createMarkdownImage = (filename, url, title = "") => {
-  return `![${filename}](${url}${title ? ` "${title}"` : ""})`;
+const createMarkdownImage = (alt, image, title = "", images) => {
+  if (image.file) images.set(image.url, image.file);
+  const text = alt && alt !== "image" ? alt : image.filename;
+  return `![${text}](${image.url}${title ? ` "${title}"` : ""})`;
 };
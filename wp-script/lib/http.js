@@ -0,0 +1,136 @@
+import { CONFIG } from "../config.js";
+import { logger } from "./logger.js";
+
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+// A write may already have been applied after any other failure, and repeating
+// it would duplicate the upload or entry
+const RETRYABLE_WRITE_STATUSES = [429, 503];
+// fetch() errors raised before the request reached the server
+const CONNECT_ERRORS = [
+  "ECONNREFUSED",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "UND_ERR_CONNECT_TIMEOUT",
+];
+
+const nextSlotByHost = new Map();
+const waiting = [];
+let active = 0;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function acquireSlot() {
+  if (active < CONFIG.HTTP.CONCURRENCY) {
+    active++;
+    return;
+  }
+  // The releasing request hands its slot straight to us
+  await new Promise((resolve) => waiting.push(resolve));
+}
+
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) next();
+  else active--;
+}
+
+// Spaces requests to one host so they never exceed its requests-per-second limit
+function throttle(host) {
+  const { RATE_LIMITS } = CONFIG.HTTP;
+  const perSecond = RATE_LIMITS[host] ?? RATE_LIMITS.default;
+  if (!perSecond) return;
+
+  const now = Date.now();
+  const slot = Math.max(now, nextSlotByHost.get(host) ?? 0);
+  nextSlotByHost.set(host, slot + 1000 / perSecond);
+  return sleep(slot - now);
+}
+
+// Exponential backoff with full jitter
+function backoffDelay(attempt) {
+  const { BACKOFF_MS, MAX_BACKOFF_MS } = CONFIG.HTTP;
+  return Math.random() * Math.min(MAX_BACKOFF_MS, BACKOFF_MS * 2 ** attempt);
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function retryAfterDelay(response) {
+  const header = response.headers.get("Retry-After");
+  if (!header) return null;
+
+  const seconds = Number(header);
+  const delay = Number.isNaN(seconds)
+    ? Date.parse(header) - Date.now()
+    : seconds * 1000;
+
+  if (Number.isNaN(delay)) return null;
+  return Math.min(Math.max(delay, 0), CONFIG.HTTP.MAX_BACKOFF_MS);
+}
+
+// fetch() with a shared concurrency limit, per-host rate limits and retries on
+// network errors and transient statuses. Writes are only retried when they
+// can't have reached the server. Resolves with the last response, so callers
+// still check response.ok themselves.
+export async function request(url, options = {}) {
+  const { retries = CONFIG.HTTP.RETRIES, ...fetchOptions } = options;
+  const { host } = new URL(url);
+  const isRead = ["GET", "HEAD"].includes(
+    (fetchOptions.method || "GET").toUpperCase()
+  );
+  const retryableStatuses = isRead
+    ? RETRYABLE_STATUSES
+    : RETRYABLE_WRITE_STATUSES;
+
+  for (let attempt = 0; ; attempt++) {
+    await throttle(host);
+    await acquireSlot();
+
+    let response;
+    try {
+      response = await fetch(url, fetchOptions);
+    } catch (error) {
+      const connected = !CONNECT_ERRORS.includes(error.cause?.code);
+      if (attempt >= retries || (connected && !isRead)) throw error;
+      logger.warn("Request failed, retrying", { url, error });
+      await sleep(backoffDelay(attempt));
+      continue;
+    } finally {
+      releaseSlot();
+    }
+
+    if (!retryableStatuses.includes(response.status) || attempt >= retries) {
+      return response;
+    }
+
+    logger.warn("Request throttled or failed, retrying", {
+      url,
+      status: response.status,
+    });
+    // Drain the body so the connection can be reused
+    await response.arrayBuffer().catch(() => {});
+    await sleep(retryAfterDelay(response) ?? backoffDelay(attempt));
+  }
+}
+
+// Like Promise.allSettled(items.map(fn)) but with at most `concurrency` in flight
+export async function mapSettled(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let index = 0;
+
+  async function worker() {
+    while (index < items.length) {
+      const current = index++;
+      try {
+        results[current] = {
+          status: "fulfilled",
+          value: await fn(items[current], current),
+        };
+      } catch (reason) {
+        results[current] = { status: "rejected", reason };
+      }
+    }
+  }
+
+  const workers = Math.min(Math.max(concurrency, 1), items.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
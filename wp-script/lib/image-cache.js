@@ -1,13 +1,24 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { CONFIG } from '../config.js';
+import { strapiHeaders, writeFileAtomic } from './utils.js';
+import { request } from './http.js';
+import { logger } from './logger.js';
+
 export const ImageCacheManager = (function() {
   let instance;
   
   function createInstance() {
-    return {
+    const cache = {
       _store: new Map(),
+      _hashes: new Map(),
+      _filePath: path.resolve(CONFIG.CACHE.IMAGE_CACHE_PATH),
       
       set(key, value) {
         this._store.set(key, value);
-        console.log('+ Cache set:', key, '->', value.filename);
+        if (value.hash) this._hashes.set(value.hash, value);
+        logger.debug('Cache set', { key, filename: value.filename });
+        this.save();
       },
       
       get(key) {
@@ -17,6 +28,63 @@ export const ImageCacheManager = (function() {
       has(key) {
         return this._store.has(key);
       },
+
+      getByHash(hash) {
+        return this._hashes.get(hash);
+      },
+
+      delete(key) {
+        const value = this._store.get(key);
+        this._store.delete(key);
+        if (value?.hash && this._hashes.get(value.hash) === value) {
+          this._hashes.delete(value.hash);
+        }
+      },
+
+      load() {
+        if (!fs.existsSync(this._filePath)) return;
+
+        try {
+          const { entries = {} } = JSON.parse(
+            fs.readFileSync(this._filePath, 'utf8')
+          );
+          Object.entries(entries).forEach(([key, value]) => {
+            this._store.set(key, value);
+            if (value.hash) this._hashes.set(value.hash, value);
+          });
+        } catch (error) {
+          logger.error('Failed to load image cache, starting empty', { error });
+        }
+      },
+
+      save() {
+        const entries = Object.fromEntries(this._store);
+        writeFileAtomic(this._filePath, JSON.stringify({ entries }, null, 2));
+      },
+
+      // Evicts entries whose upload no longer exists in the Strapi media library
+      async reconcile() {
+        const url = new URL(`${CONFIG.API.UPLOAD_PATH}/files`, CONFIG.API.BASE_URL);
+        const response = await request(url.href, { headers: strapiHeaders() });
+        if (!response.ok) {
+          throw new Error(`Failed to fetch uploaded files: ${response.status}`);
+        }
+
+        const files = await response.json();
+        const existingIds = new Set(files.map((file) => file.id));
+
+        let evicted = 0;
+        [...this._store.entries()].forEach(([key, value]) => {
+          if (!existingIds.has(value.id)) {
+            this.delete(key);
+            evicted++;
+          }
+        });
+
+        if (evicted > 0) this.save();
+        logger.info(`Image cache reconciled: ${evicted} stale entries evicted`);
+        return evicted;
+      },
       
       getStats() {
         return {
@@ -27,6 +95,9 @@ export const ImageCacheManager = (function() {
         };
       }
     };
+
+    cache.load();
+    return cache;
   }
   
   return {
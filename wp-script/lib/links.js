@@ -0,0 +1,326 @@
+import fs from "node:fs";
+import path from "node:path";
+import { CONFIG } from "../config.js";
+import { normalizeUrl } from "./utils.js";
+import { fetchWPData } from "./functions.js";
+import { fetchStrapiEntries, saveStrapiEntry } from "./strapi.js";
+import { mapSettled } from "./http.js";
+import { ImageCacheManager } from "./image-cache.js";
+import { logger } from "./logger.js";
+
+// Markdown link targets: [text](url "title") and <url> autolinks
+const MARKDOWN_LINK = /(\]\(\s*<?)([^\s)>]+)|(<)(https?:\/\/[^\s>]+)(?=>)/g;
+
+// Fills {slug}, {id}, {documentId}, {year}, {month} and {day} from a source
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? "");
+}
+
+function dateParts(date) {
+  if (!date) return {};
+  const [year, month, day] = date.slice(0, 10).split("-");
+  return { year, month, day };
+}
+
+// Path and query of a WordPress URL, without the trailing slash, so
+// /2023/05/post/ and /2023/05/post match. Null for other sites.
+export function toLinkKey(href) {
+  let url;
+  try {
+    url = new URL(href, CONFIG.WP.BASE_URL);
+  } catch {
+    return null;
+  }
+  if (url.host !== new URL(CONFIG.WP.BASE_URL).host) return null;
+  return `${url.pathname.replace(/\/+$/, "") || "/"}${url.search}`;
+}
+
+// WordPress path without surrounding slashes, e.g. services/web
+export function toPath(link) {
+  const key = link && toLinkKey(link);
+  return key ? key.replace(/\?.*$/, "").replace(/^\/+/, "") : "";
+}
+
+async function fetchLinkSources(collection) {
+  return fetchWPData(
+    CONFIG.WP.BASE_URL,
+    `${CONFIG.WP.API_PATH}/${collection}`,
+    { perPage: CONFIG.MIGRATION.PER_PAGE }
+  );
+}
+
+// WP post ID -> { documentId, slug } of every post importWPData saved or
+// skipped. The slug is Strapi's, which differs when it resolved a collision.
+export function collectMigrated(results) {
+  const migrated = new Map();
+  results.forEach((result) => {
+    if (result.status !== "fulfilled" || !result.value.documentId) return;
+    const { wpId, slug, documentId, response } = result.value;
+    migrated.set(wpId, { documentId, slug: response?.data?.slug || slug });
+  });
+  return migrated;
+}
+
+// Maps WordPress permalinks (and ?p= style shortlinks) of posts, pages,
+// custom post types, categories and tags to their new routes. migrated comes
+// from collectMigrated; posts and pages missing from it failed to migrate and
+// are left out. Pages are fetched unless given, and then all kept. mapped
+// lists the [{ type, entries }] imported through the mapping file, routed by
+// the template under their type name. Resolves with { byPermalink, routes },
+// routes being every new route so already rewritten links are left alone.
+export async function buildLinkMap(
+  posts,
+  migrated = new Map(),
+  pages = null,
+  mapped = []
+) {
+  const { TEMPLATES } = CONFIG.LINKS;
+  const byPermalink = new Map();
+
+  const add = (link, shortlink, template, values) => {
+    if (!template) return;
+    const route = fillTemplate(template, { path: toPath(link), ...values });
+    [link, shortlink].forEach((href) => {
+      const key = href && toLinkKey(href);
+      if (key) byPermalink.set(key, route);
+    });
+  };
+
+  // Posts and pages use the slug Strapi saved them under
+  const entryValues = (entity) => ({
+    slug: migrated.get(entity.id)?.slug || entity.slug,
+    id: entity.id,
+    documentId: migrated.get(entity.id)?.documentId,
+    ...dateParts(entity.date),
+  });
+
+  const isMigrated = (entity) => migrated.has(entity.id);
+  posts.filter(isMigrated).forEach((post) => {
+    add(post.link, `/?p=${post.id}`, TEMPLATES.post, entryValues(post));
+  });
+
+  const pageSources =
+    pages?.filter(isMigrated) ??
+    (TEMPLATES.page ? await fetchLinkSources("pages") : []);
+  pageSources.forEach((page) => {
+    add(page.link, `/?page_id=${page.id}`, TEMPLATES.page, entryValues(page));
+  });
+
+  mapped.forEach(({ type, entries }) => {
+    const template = TEMPLATES[type.name] ?? `/${type.name}/{slug}`;
+    entries.filter(isMigrated).forEach((entity) => {
+      add(entity.link, `/?p=${entity.id}`, template, entryValues(entity));
+    });
+  });
+
+  const categories = TEMPLATES.category
+    ? await fetchLinkSources("categories")
+    : [];
+  categories.forEach((category) => {
+    add(category.link, `/?cat=${category.id}`, TEMPLATES.category, {
+      slug: category.slug,
+      id: category.id,
+    });
+  });
+
+  const tags = TEMPLATES.tag ? await fetchLinkSources("tags") : [];
+  tags.forEach((tag) => {
+    add(tag.link, null, TEMPLATES.tag, { slug: tag.slug, id: tag.id });
+  });
+
+  return { byPermalink, routes: new Set(byPermalink.values()) };
+}
+
+// Returns the new URL for an internal link, the same URL for external ones,
+// or null when an internal link has nowhere to go
+function resolveLink(href, links) {
+  const key = !href.startsWith("#") && toLinkKey(href);
+  if (!key || links.routes.has(href.replace(/#.*$/, ""))) return href;
+
+  const hash = href.includes("#") ? href.slice(href.indexOf("#")) : "";
+  const route = links.byPermalink.get(key);
+  if (route !== undefined) return `${route}${hash}`;
+
+  // Attachments point at uploads we may already have in the media library
+  const absolute = normalizeUrl(new URL(href, CONFIG.WP.BASE_URL).href);
+  return ImageCacheManager.getInstance().get(absolute)?.url ?? null;
+}
+
+// Rewrites internal links in markdown, collecting the unresolved ones
+export function rewriteMarkdownLinks(markdown, links, unresolved = []) {
+  return markdown.replace(
+    MARKDOWN_LINK,
+    (match, linkPrefix, linkHref, autoPrefix, autoHref) => {
+      const prefix = linkPrefix ?? autoPrefix;
+      const href = linkHref ?? autoHref;
+      // Only relative paths and absolute URLs can be WordPress links
+      if (!href.startsWith("/") && !/^https?:/i.test(href)) return match;
+
+      const resolved = resolveLink(href, links);
+      if (resolved === null) {
+        unresolved.push(href);
+        return match;
+      }
+      return `${prefix}${resolved}`;
+    }
+  );
+}
+
+// Rewrites the url of every link node in Strapi Blocks content
+export function rewriteBlockLinks(nodes = [], links, unresolved = []) {
+  return nodes.map((node) => {
+    const rewritten = { ...node };
+    if (node.type === "link" && node.url) {
+      const resolved = resolveLink(node.url, links);
+      if (resolved === null) unresolved.push(node.url);
+      else rewritten.url = resolved;
+    }
+    if (Array.isArray(node.children)) {
+      rewritten.children = rewriteBlockLinks(node.children, links, unresolved);
+    }
+    return rewritten;
+  });
+}
+
+function writeUnresolvedReport(unresolved, outputDir) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const reportPath = path.resolve(
+    outputDir,
+    `unresolved-links-${stamp}.json`
+  );
+
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify(unresolved, null, 2));
+  return reportPath;
+}
+
+// Media in a populated component goes back to Strapi as file ids, and
+// components go back without their ids, as new ones replacing the old
+function toSavedComponent({ id, ...component }) {
+  const toFileIds = (value) => {
+    if (Array.isArray(value)) return value.map(toFileIds);
+    if (!value || typeof value !== "object") return value;
+    if (value.mime && value.id) return value.id;
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, toFileIds(item)])
+    );
+  };
+  return toFileIds(component);
+}
+
+// Rewrites the Blocks body of every shared.rich-text component of a layout
+// dynamic zone, returning the layout as it's saved
+export function rewriteLayoutLinks(components = [], links, unresolved = []) {
+  return components.map((component) => {
+    const saved = toSavedComponent(component);
+    if (component.__component !== "shared.rich-text") return saved;
+    return { ...saved, body: rewriteBlockLinks(saved.body, links, unresolved) };
+  });
+}
+
+// How links are rewritten in each kind of content field. saved shapes the
+// current value like rewrite's output, to tell if links changed.
+const LINK_REWRITERS = {
+  markdown: { rewrite: rewriteMarkdownLinks, saved: (value) => value },
+  blocks: { rewrite: rewriteBlockLinks, saved: (value) => value },
+  layout: {
+    rewrite: rewriteLayoutLinks,
+    saved: (value) => value.map(toSavedComponent),
+  },
+};
+
+// Content fields of posts and pages, by kind
+const POST_CONTENT_FIELDS = {
+  content: "markdown",
+  blocksContent: "blocks",
+  layout: "layout",
+};
+
+// Strapi query params reading slug, wpId and the given content fields
+function toContentParams(fields) {
+  const params = { status: "draft", "fields[0]": "slug", "fields[1]": "wpId" };
+  Object.entries(fields)
+    .filter(([, kind]) => kind !== "layout")
+    .forEach(([field], index) => {
+      params[`fields[${index + 2}]`] = field;
+    });
+  Object.entries(fields)
+    .filter(([, kind]) => kind === "layout")
+    .forEach(([field]) => {
+      params[`populate[${field}][populate]`] = "*";
+    });
+  return params;
+}
+
+// Post-import pass: points links in content, blocksContent and the layout's
+// rich-text components of every migrated entry at the new routes, saving
+// only the fields that changed.
+// data is the WordPress entries, results what importWPData resolved with.
+// options.links reuses an already built link map; options.apiPath is the
+// collection they were saved to and options.fields its content fields, as
+// field name -> "markdown", "blocks" or "layout".
+export async function rewriteInternalLinks(data, results, options = {}) {
+  const { apiPath = CONFIG.API.POSTS_PATH, fields = POST_CONTENT_FIELDS } =
+    options;
+  const migrated = collectMigrated(results);
+  // Nothing was migrated into apiPath (e.g. --skip-pages), which then may not
+  // even exist
+  if (migrated.size === 0 || Object.keys(fields).length === 0) {
+    return { rewritten: 0, unresolved: [] };
+  }
+  const links = options.links ?? (await buildLinkMap(data, migrated));
+  const entities = new Map(data.map((entity) => [entity.id, entity]));
+
+  const posts = (
+    await fetchStrapiEntries(apiPath, toContentParams(fields))
+  ).filter((post) => migrated.get(post.wpId)?.documentId === post.documentId);
+
+  const unresolved = [];
+  const updates = await mapSettled(
+    posts,
+    CONFIG.MIGRATION.CONCURRENCY,
+    async (post) => {
+      const missing = [];
+      const changes = {};
+      Object.entries(fields).forEach(([field, kind]) => {
+        const { rewrite, saved } = LINK_REWRITERS[kind];
+        if (post[field] == null) return;
+        const rewritten = rewrite(post[field], links, missing);
+        if (JSON.stringify(rewritten) !== JSON.stringify(saved(post[field]))) {
+          changes[field] = rewritten;
+        }
+      });
+
+      [...new Set(missing)].forEach((url) =>
+        unresolved.push({ slug: post.slug, wpId: post.wpId, url })
+      );
+      if (Object.keys(changes).length === 0) return false;
+
+      const entity = entities.get(post.wpId);
+      await saveStrapiEntry(apiPath, post.documentId, changes, {
+        status: entity?.status === "publish" ? "published" : undefined,
+      });
+      return true;
+    }
+  );
+
+  const failures = updates.filter((update) => update.status === "rejected");
+  if (failures.length > 0) {
+    logger.error("Some link rewrites failed", {
+      failures: failures.map((f) => f.reason.message),
+    });
+  }
+
+  const rewritten = updates.filter((update) => update.value === true).length;
+  logger.info(
+    `Rewrote internal links in ${rewritten} entries, ` +
+      `${unresolved.length} unresolved`
+  );
+
+  if (unresolved.length > 0) {
+    const reportPath = writeUnresolvedReport(unresolved, CONFIG.REPORTS.DIR);
+    logger.info(`Unresolved internal links written to ${reportPath}`);
+  }
+
+  return { rewritten, unresolved };
+}
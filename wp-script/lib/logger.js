@@ -0,0 +1,86 @@
+import fs from "node:fs";
+import path from "node:path";
+import { inspect } from "node:util";
+import { CONFIG } from "../config.js";
+import { progress } from "./progress.js";
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+const sinks = new Set();
+
+const isEnabled = (level, threshold) =>
+  LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(threshold);
+
+// Errors don't survive JSON.stringify, so they're logged by their message
+function serializeFields(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => [
+      key,
+      value instanceof Error ? value.message : value,
+    ])
+  );
+}
+
+// "[post 12 hello-world] Cache miss { url: ... }"
+function consoleSink({ level, msg, context, fields }) {
+  if (!isEnabled(level, CONFIG.LOG.LEVEL)) return;
+
+  const prefix = Object.keys(context).length
+    ? `[${Object.values(context).join(" ")}] `
+    : "";
+  const details = Object.keys(fields).length
+    ? ` ${inspect(fields, { breakLength: Infinity, depth: 4 })}`
+    : "";
+  const stream = isEnabled(level, "warn") ? process.stderr : process.stdout;
+
+  progress.clear();
+  stream.write(`${prefix}${msg}${details}\n`);
+  progress.redraw(true);
+}
+
+// One JSON object per line, every level, for CI to keep or parse
+function fileSink({ time, level, msg, context, fields }) {
+  if (!CONFIG.LOG.FILE) return;
+
+  const filePath = path.resolve(CONFIG.LOG.FILE);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(
+    filePath,
+    `${JSON.stringify({ time, level, msg, ...context, ...fields })}\n`
+  );
+}
+
+// Sinks receive every record as { time, level, msg, context, fields } and do
+// their own level filtering. Returns a function that removes the sink.
+export function addLogSink(sink) {
+  sinks.add(sink);
+  return () => sinks.delete(sink);
+}
+
+addLogSink(consoleSink);
+addLogSink(fileSink);
+
+// context is attached to every record, e.g. { type, wpId, slug } of the post
+// being converted; child() adds to it
+export function createLogger(context = {}) {
+  const write = (level, msg, fields = {}) => {
+    const record = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      context,
+      fields: serializeFields(fields),
+    };
+    sinks.forEach((sink) => sink(record));
+  };
+
+  return {
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+    child: (extra) => createLogger({ ...context, ...extra }),
+  };
+}
+
+export const logger = createLogger();
@@ -0,0 +1,297 @@
+import {
+  loadDataFile,
+  hashContent,
+  normalizeUrl,
+  stripHtml,
+  decodeHtmlEntities,
+} from "./utils.js";
+import { htmlToMarkdown } from "./html-to-markdown.js";
+import {
+  parseMarkdownToObject,
+  splitLayout,
+} from "./parse-markdown-to-object.js";
+import { fetchWPMedia, uploadMedia } from "./media.js";
+import { ImageCacheManager } from "./image-cache.js";
+import { logger } from "./logger.js";
+
+// Fields every mapped type gets unless its mapping overrides them or sets
+// them to null
+const DEFAULT_FIELDS = {
+  title: { from: "title.rendered", type: "text" },
+  slug: { from: "slug", type: "string" },
+  content: { from: "content.rendered", type: "markdown" },
+  blocksContent: { from: "content.rendered", type: "blocks" },
+};
+
+const TRUE_VALUES = ["1", "true", "yes", "on"];
+const FALSE_VALUES = ["0", "false", "no", "off", ""];
+
+// Reads a.b.c from an object; numeric parts index into arrays
+function readPath(source, path) {
+  return path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), source);
+}
+
+// ACF returns false or "" for fields that were never filled in
+function isEmpty(value, type) {
+  if (value === undefined || value === null || value === "") return true;
+  if (Array.isArray(value)) return value.length === 0;
+  return value === false && type !== "boolean";
+}
+
+function toDate(value, name) {
+  const text = String(value).trim();
+  // ACF date pickers return Ymd unless their return format was changed
+  const acfDate = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+  const date = new Date(
+    acfDate ? `${acfDate[1]}-${acfDate[2]}-${acfDate[3]}T00:00:00Z` : text
+  );
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Field ${name}: "${value}" is not a date`);
+  }
+  return date;
+}
+
+// Converts each HTML string once per entity, however many fields read it
+function convertHtml(html, context) {
+  if (!context.conversions.has(html)) {
+    context.conversions.set(
+      html,
+      (async () => {
+        const markdown = await htmlToMarkdown(html, context);
+        const items = await parseMarkdownToObject(markdown, {
+          images: context.images,
+          lookupUploads: !context.dryRun,
+        });
+        return { markdown, ...splitLayout(items) };
+      })()
+    );
+  }
+  return context.conversions.get(html);
+}
+
+async function resolveMediaUrl(value) {
+  if (typeof value === "object") {
+    return value.url || (await fetchWPMedia(value.id || value.ID)).source_url;
+  }
+  return /^\d+$/.test(String(value))
+    ? (await fetchWPMedia(value)).source_url
+    : String(value);
+}
+
+// Attachment IDs, URLs and ACF image objects ({ url } or { id }) become
+// Strapi file ids; dry runs only report them
+async function migrateMedia(value, name, context) {
+  try {
+    const src = await resolveMediaUrl(value);
+
+    if (context.dryRun) {
+      const cached = ImageCacheManager.getInstance().has(normalizeUrl(src));
+      context.report?.images.push({
+        src,
+        status: cached ? "cached" : "upload",
+      });
+      return undefined;
+    }
+
+    return (await uploadMedia(src)).id;
+  } catch (error) {
+    (context.log ?? logger).error("Failed to migrate media", {
+      field: name,
+      error,
+    });
+    context.report?.warnings.push(`Media for ${name} failed: ${error.message}`);
+    return undefined;
+  }
+}
+
+const COERCIONS = {
+  string: (value) =>
+    typeof value === "object" ? JSON.stringify(value) : String(value),
+  // Rendered HTML such as titles, as plain text
+  text: (value) => decodeHtmlEntities(stripHtml(String(value))),
+  number: (value, name) => {
+    const number = Number(value);
+    if (typeof value === "boolean" || !Number.isFinite(number)) {
+      throw new Error(`Field ${name}: "${value}" is not a number`);
+    }
+    return number;
+  },
+  integer: (value, name) => {
+    const number = COERCIONS.number(value, name);
+    if (!Number.isInteger(number)) {
+      throw new Error(`Field ${name}: "${value}" is not an integer`);
+    }
+    return number;
+  },
+  boolean: (value, name) => {
+    if (typeof value === "boolean") return value;
+    const text = String(value).trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) return true;
+    if (FALSE_VALUES.includes(text)) return false;
+    throw new Error(`Field ${name}: "${value}" is not a boolean`);
+  },
+  date: (value, name) => toDate(value, name).toISOString().slice(0, 10),
+  datetime: (value, name) => toDate(value, name).toISOString(),
+  json: (value) => value,
+  markdown: async (value, name, context) =>
+    (await convertHtml(String(value), context)).markdown,
+  blocks: async (value, name, context) =>
+    (await convertHtml(String(value), context)).blocks,
+  // A dynamic zone of rich-text, table, embed... components
+  layout: async (value, name, context) =>
+    (await convertHtml(String(value), context)).layout,
+  // Arrays (ACF galleries) upload every item, dropping the failed ones
+  media: async (value, name, context) => {
+    if (!Array.isArray(value)) return migrateMedia(value, name, context);
+    const ids = [];
+    for (const item of value) {
+      const id = await migrateMedia(item, name, context);
+      if (id !== undefined) ids.push(id);
+    }
+    return context.dryRun ? undefined : ids;
+  },
+};
+
+const FIELD_TYPES = Object.keys(COERCIONS);
+
+// "acf.price" is shorthand for { from: "acf.price" }
+function normalizeField(name, field) {
+  const spec = typeof field === "string" ? { from: field } : field;
+  if (!spec || typeof spec !== "object") {
+    throw new Error(`Field ${name} must be a path, an object or null`);
+  }
+  if (spec.type && !COERCIONS[spec.type]) {
+    throw new Error(
+      `Field ${name} has unknown type "${spec.type}", expected one of: ${FIELD_TYPES.join(", ")}`
+    );
+  }
+  if (spec.transform && typeof spec.transform !== "function") {
+    throw new Error(`Field ${name} transform must be a function`);
+  }
+  return { from: name, ...spec };
+}
+
+function normalizeType(name, type) {
+  if (!type?.source || typeof type.source !== "string") {
+    throw new Error(`Mapping for ${name} needs a source REST collection`);
+  }
+  if (!type.target?.startsWith("/")) {
+    throw new Error(
+      `Mapping for ${name} needs a target Strapi API path, e.g. /api/products`
+    );
+  }
+
+  const fields = {};
+  Object.entries({ ...DEFAULT_FIELDS, ...type.fields }).forEach(
+    ([field, spec]) => {
+      if (spec === null) return;
+      try {
+        fields[field] = normalizeField(field, spec);
+      } catch (error) {
+        throw new Error(`Mapping for ${name}: ${error.message}`);
+      }
+    }
+  );
+
+  return {
+    name,
+    source: type.source,
+    target: type.target,
+    fields,
+    // Changing the mapping should re-import entries mapped the old way
+    signature: hashContent(
+      JSON.stringify(fields, (key, value) =>
+        typeof value === "function" ? value.toString() : value
+      )
+    ),
+  };
+}
+
+// Loads a mapping file: a JSON file or a JS module exporting (by default or
+// as MAPPING) { types: { name: { source, target, fields } } }.
+//   source  the WordPress REST collection, e.g. "product" or "events"
+//   target  the Strapi API path, e.g. "/api/products"
+//   fields  Strapi field -> "path.in.entity" or { from, type, transform,
+//           default }; null leaves out one of title, slug, content and
+//           blocksContent, which are mapped by default
+// transform(value, entity) runs before the value is coerced to type. Target
+// content types need slug, wpId and sourceHash fields.
+// Resolves with the normalized types, in file order.
+export async function loadMapping(mappingPath) {
+  const mapping = await loadDataFile(mappingPath, "MAPPING", "Mapping file");
+  if (!mapping.types || typeof mapping.types !== "object") {
+    throw new Error(`Mapping file ${mappingPath} has no types`);
+  }
+
+  return Object.entries(mapping.types).map(([name, type]) =>
+    normalizeType(name, type)
+  );
+}
+
+const CONTENT_TYPES = ["markdown", "blocks", "layout"];
+
+// Fields of a type holding converted content, as field name -> "markdown",
+// "blocks" or "layout", for rewriteInternalLinks
+export function toContentFields(mapping) {
+  return Object.fromEntries(
+    Object.entries(mapping.fields)
+      .filter(([, field]) => CONTENT_TYPES.includes(field.type))
+      .map(([name, field]) => [name, field.type])
+  );
+}
+
+// Fields of a type that can hold media files, as field name -> "media" or
+// "component", for rollback to populate
+export function toMediaFields(mapping) {
+  return Object.fromEntries(
+    Object.entries(mapping.fields)
+      .filter(([, field]) => ["media", "layout"].includes(field.type))
+      .map(([name, field]) => [
+        name,
+        field.type === "media" ? "media" : "component",
+      ])
+  );
+}
+
+export function hashMappedSource(entity, mapping) {
+  const { _links, _embedded, ...source } = entity;
+  return hashContent({ source, mapping: mapping.signature });
+}
+
+// Builds the payload of one entity from a type returned by loadMapping.
+// Resolves like buildPostPayload with { payload, markdown, blocks }; markdown
+// and blocks are set when content.rendered was converted.
+export async function buildMappedPayload(entity, mapping, options = {}) {
+  const context = {
+    ...options,
+    images: new Map(),
+    conversions: new Map(),
+  };
+  const payload = {};
+
+  for (const [name, field] of Object.entries(mapping.fields)) {
+    let value = readPath(entity, field.from);
+    if (field.transform) value = await field.transform(value, entity);
+
+    if (isEmpty(value, field.type)) {
+      payload[name] = field.default ?? null;
+      continue;
+    }
+
+    const coerced = field.type
+      ? await COERCIONS[field.type](value, name, context)
+      : value;
+    // Media that couldn't be migrated leaves the current value alone
+    if (coerced !== undefined) payload[name] = coerced;
+  }
+
+  const content = entity.content?.rendered;
+  const converted = content && (await context.conversions.get(content));
+  return {
+    payload,
+    markdown: converted?.markdown,
+    blocks: converted?.layout,
+  };
+}
@@ -0,0 +1,146 @@
+import { CONFIG } from "../config.js";
+import {
+  normalizeUrl,
+  downloadFile,
+  uploadFile,
+  updateFileInfo,
+  stripHtml,
+  wpHeaders,
+} from "./utils.js";
+import { ImageCacheManager } from "./image-cache.js";
+import { request } from "./http.js";
+import { logger } from "./logger.js";
+import { progress } from "./progress.js";
+
+// Uploads in progress, by source URL and by content hash, so posts
+// converted at the same time that share an image wait on one upload
+const pendingUploads = new Map();
+const pendingHashes = new Map();
+
+// Waits on the promise registered under key, or registers task's promise
+function dedupe(pending, key, task) {
+  if (pending.has(key)) return { promise: pending.get(key), shared: true };
+  const promise = task().finally(() => pending.delete(key));
+  pending.set(key, promise);
+  return { promise, shared: false };
+}
+
+async function uploadNew(normalizedSrc) {
+  const cacheManager = ImageCacheManager.getInstance();
+  const { file, hash } = await downloadFile(normalizedSrc);
+  const sameContent = cacheManager.getByHash(hash);
+  if (sameContent) {
+    cacheManager.set(normalizedSrc, sameContent);
+    return { image: sameContent, status: "cached" };
+  }
+
+  // Same bytes under a different URL, uploading right now
+  const { promise, shared } = dedupe(pendingHashes, hash, async () => {
+    const response = await uploadFile(
+      file,
+      `${CONFIG.API.BASE_URL}${CONFIG.API.UPLOAD_PATH}`
+    );
+    const [uploadData] = await response.json();
+
+    if (!uploadData?.url || !uploadData?.name) {
+      throw new Error("Invalid upload response format");
+    }
+
+    return {
+      id: uploadData.id,
+      url: `${CONFIG.API.BASE_URL}${uploadData.url}`,
+      filename: uploadData.name,
+      hash,
+      file: uploadData,
+    };
+  });
+  const image = await promise;
+  cacheManager.set(normalizedSrc, image);
+  return { image, status: shared ? "cached" : "uploaded" };
+}
+
+// Resolves { image, status } with the image cache entry ({ id, url,
+// filename, hash, file }) for src, uploading it into the Strapi media
+// library unless the cache has it by source URL or content hash. status is
+// "uploaded" for the one caller whose upload it was, else "cached".
+export async function resolveMedia(src) {
+  const cacheManager = ImageCacheManager.getInstance();
+  const normalizedSrc = normalizeUrl(src);
+
+  if (cacheManager.has(normalizedSrc)) {
+    return { image: cacheManager.get(normalizedSrc), status: "cached" };
+  }
+
+  const { promise, shared } = dedupe(pendingUploads, normalizedSrc, () =>
+    uploadNew(normalizedSrc)
+  );
+  const { image, status } = await promise;
+  return { image, status: shared ? "cached" : status };
+}
+
+// Uploads a single file into the Strapi media library, reusing the image cache
+// by source URL and by content hash. Resolves with the cache entry
+// ({ id, url, filename, hash, file }).
+export async function uploadMedia(src) {
+  progress.increment("images");
+  return (await resolveMedia(src)).image;
+}
+
+// Fetches a WordPress attachment by ID
+export async function fetchWPMedia(id) {
+  const url = new URL(`${CONFIG.WP.API_PATH}/media/${id}`, CONFIG.WP.BASE_URL)
+    .href;
+  const response = await request(url, { headers: wpHeaders() });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch media ${id}: ${response.status}`);
+  }
+  return response.json();
+}
+
+// Uses the _embed data when the post was fetched with it, else asks WordPress
+export async function fetchFeaturedMedia(entity) {
+  const embedded = entity._embedded?.["wp:featuredmedia"]?.[0];
+  if (embedded?.source_url) return embedded;
+  return fetchWPMedia(entity.featured_media);
+}
+
+// Uploads the post's featured image and carries over its alt text and caption.
+// Resolves with the Strapi file id, null when the post has none, or undefined
+// when it couldn't be migrated so an update leaves the current cover alone.
+export async function migrateFeaturedImage(
+  entity,
+  { dryRun = false, report, log = logger } = {}
+) {
+  if (!entity.featured_media) return null;
+
+  try {
+    const media = await fetchFeaturedMedia(entity);
+    const src = media.source_url;
+
+    if (dryRun) {
+      const cached = ImageCacheManager.getInstance().has(normalizeUrl(src));
+      report?.images.push({ src, status: cached ? "cached" : "upload" });
+      return undefined;
+    }
+
+    const uploaded = await uploadMedia(src);
+    const fileInfo = {
+      alternativeText: media.alt_text || null,
+      caption: stripHtml(media.caption?.rendered) || null,
+    };
+
+    if (fileInfo.alternativeText || fileInfo.caption) {
+      await updateFileInfo(
+        uploaded.id,
+        fileInfo,
+        `${CONFIG.API.BASE_URL}${CONFIG.API.UPLOAD_PATH}`
+      );
+    }
+
+    return uploaded.id;
+  } catch (error) {
+    log.error("Failed to migrate featured image", { error });
+    report?.warnings.push(`Featured image failed: ${error.message}`);
+    return undefined;
+  }
+}
@@ -0,0 +1,120 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { CONFIG } from '../config.js';
+import { readNdjson, writeFileAtomic } from './utils.js';
+
+// Tracks every WordPress entity across runs so a crashed migration can resume
+export const MigrationStateManager = (function() {
+  let instance;
+
+  function keyFor(entity) {
+    return `${entity.type || 'post'}:${entity.id}`;
+  }
+
+  function createInstance() {
+    const state = {
+      _entries: new Map(),
+      _filePath: path.resolve(CONFIG.STATE.PATH),
+
+      get(entity) {
+        return this._entries.get(keyFor(entity));
+      },
+
+      update(entity, values) {
+        const key = keyFor(entity);
+        const entry = {
+          ...this._entries.get(key),
+          wpId: entity.id,
+          slug: entity.slug,
+          ...values,
+          updatedAt: new Date().toISOString(),
+        };
+        this._entries.set(key, entry);
+        // Append-only, so each update costs one line however large the run
+        fs.mkdirSync(path.dirname(this._filePath), { recursive: true });
+        fs.appendFileSync(this._filePath, `${JSON.stringify({ key, entry })}\n`);
+      },
+
+      markPending(entity) {
+        if (!this._entries.has(keyFor(entity))) {
+          this.update(entity, { status: 'pending' });
+        }
+      },
+
+      markImported(entity, { documentId, sourceHash }) {
+        this.update(entity, {
+          status: 'imported',
+          documentId,
+          sourceHash,
+          error: null,
+        });
+      },
+
+      markFailed(entity, error) {
+        this.update(entity, { status: 'failed', error: error.message });
+      },
+
+      // Already imported from this exact source, nothing to redo
+      isImported(entity, sourceHash) {
+        const entry = this.get(entity);
+        return entry?.status === 'imported' && entry.sourceHash === sourceHash;
+      },
+
+      // Drops entities whose Strapi document was deleted so the next run
+      // imports them again
+      forgetDocuments(documentIds) {
+        const ids = new Set(documentIds);
+        let forgotten = 0;
+        [...this._entries.entries()].forEach(([key, entry]) => {
+          if (ids.has(entry.documentId)) {
+            this._entries.delete(key);
+            forgotten++;
+          }
+        });
+        if (forgotten > 0) this.compact();
+        return forgotten;
+      },
+
+      isFailed(entity) {
+        return this.get(entity)?.status === 'failed';
+      },
+
+      load() {
+        if (!fs.existsSync(this._filePath)) return;
+
+        // Later lines win
+        readNdjson(this._filePath, 'migration state').forEach(
+          ({ key, entry }) => this._entries.set(key, entry)
+        );
+
+        this.compact();
+      },
+
+      // Rewrites the journal with one line per entity
+      compact() {
+        const lines = [...this._entries.entries()]
+          .map(([key, entry]) => `${JSON.stringify({ key, entry })}\n`)
+          .join('');
+        writeFileAtomic(this._filePath, lines);
+      },
+
+      getStats() {
+        const stats = { pending: 0, imported: 0, failed: 0 };
+        this._entries.forEach((entry) => stats[entry.status]++);
+        return stats;
+      }
+    };
+
+    state.load();
+    return state;
+  }
+
+  return {
+    getInstance: function() {
+      if (!instance) {
+        instance = createInstance();
+      }
+      return instance;
+    }
+  };
+})();
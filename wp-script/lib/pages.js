@@ -0,0 +1,28 @@
+import { CONFIG } from "../config.js";
+import { importWPData } from "./functions.js";
+import { groupByDepth } from "./utils.js";
+
+// Imports WordPress pages into the Strapi page collection one tree level at a
+// time, so each page can link to its already saved parent. options are passed
+// on to importWPData. Resolves with the results of every level, in order.
+export async function migratePages(pages, options = {}) {
+  const parents = new Map();
+  const results = [];
+
+  for (const level of groupByDepth(pages)) {
+    const levelResults = await importWPData(level, {
+      ...options,
+      apiPath: CONFIG.API.PAGES_PATH,
+      parents,
+    });
+
+    levelResults.forEach((result) => {
+      if (result.status === "fulfilled" && result.value.documentId) {
+        parents.set(result.value.wpId, result.value.documentId);
+      }
+    });
+    results.push(...levelResults);
+  }
+
+  return results;
+}
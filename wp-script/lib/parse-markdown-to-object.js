@@ -2,55 +2,83 @@ import { marked } from "marked";
 import { CONFIG } from "../config.js";
 
 import {
-  isBoldMarkdown,
-  parseInlineParagraphFormatting,
+  getFilename,
+  decodeHtmlEntities,
+  parseInlineTokens,
+  strapiHeaders,
+  MARKED_OPTIONS,
 } from "./utils.js";
+import { request } from "./http.js";
+import { detectEmbedProvider } from "./embeds.js";
+import { logger } from "./logger.js";
 
-export async function parseMarkdownToObject(markdown) {
+// images maps image URLs to their upload data. Images missing from it are
+// looked up in the Strapi media library by filename unless lookupUploads is
+// false, as in dry runs and exports, which must not depend on Strapi.
+export async function parseMarkdownToObject(markdown, options = {}) {
+  const { images, lookupUploads = true } = options;
   const objectOutput = [];
 
   const renderer = {
     heading(entity) {
       const headingBlock = {
         type: "heading",
-        children: [
-          {
-            type: "text",
-            text: entity.text,
-            ...(isBoldMarkdown(entity.text) && { bold: true }),
-          },
-        ],
+        children: parseInlineTokens(entity.tokens),
         level: entity.depth,
       };
       objectOutput.push(headingBlock);
     },
 
-    async paragraph(entity) {
-      const isImage = /!\[(.*?)\]\((.*?)\)/.test(entity.text);
+    paragraph(entity) {
+      const embed = createEmbedComponent(entity.tokens);
+      if (embed) {
+        objectOutput.push(embed);
+        return;
+      }
+
+      const hasImage = entity.tokens?.some((token) => token.type === "image");
 
-      if (isImage) {
-        objectOutput.push({ 
-          type: "paragraph", 
-          children: [{ type: "text", text: entity.text }] 
-        });
-      } else {
+      if (!hasImage) {
         // For non-image paragraphs, parse formatting as usual
-        const children = parseInlineParagraphFormatting(entity.text);
+        const children = parseInlineTokens(entity.tokens);
         objectOutput.push({ type: "paragraph", children });
+        return;
       }
 
+      // Images are block-level in Strapi, so split the paragraph around them
+      let pendingTokens = [];
+      const flushText = () => {
+        if (pendingTokens.some((token) => token.raw.trim())) {
+          objectOutput.push({
+            type: "paragraph",
+            children: trimNodes(parseInlineTokens(pendingTokens)),
+          });
+        }
+        pendingTokens = [];
+      };
+
+      entity.tokens.forEach((token) => {
+        if (token.type !== "image") {
+          pendingTokens.push(token);
+          return;
+        }
+        flushText();
+        // Resolved after parsing so every block keeps its position
+        objectOutput.push(createImageBlock(token, images, lookupUploads));
+      });
+      flushText();
     },
 
-    list(entity, ordered) {
-      const items = entity.items.map((item) => ({
-        type: "list-item",
-        children: parseInlineParagraphFormatting(item.text || item),
-      }));
+    list(entity) {
+      objectOutput.push(createListBlock(entity));
+    },
 
+    // Blocks have no table node, so tables become shared.table components
+    table(entity) {
       objectOutput.push({
-        type: "list",
-        format: ordered ? "ordered" : "unordered",
-        children: items,
+        __component: "shared.table",
+        header: entity.header.map((cell) => cell.text),
+        rows: entity.rows.map((row) => row.map((cell) => cell.text)),
       });
     },
 
@@ -59,29 +87,54 @@ export async function parseMarkdownToObject(markdown) {
     },
 
     blockquote(entity) {
-      const text = entity.text.replace(/\n/g, " ").trim();
-        objectOutput.push(createTextBlock("quote", text));
+      // Quotes hold inline nodes only, so paragraphs are joined with a space
+      const tokens = entity.tokens.flatMap((token, index) => [
+        ...(index > 0 ? [{ type: "text", text: " " }] : []),
+        ...(token.tokens || [{ type: "text", text: token.text || "" }]),
+      ]);
+      objectOutput.push({
+        type: "quote",
+        children: trimNodes(parseInlineTokens(tokens)),
+      });
     },
 
-    code(code, language) {
+    code(entity) {
       objectOutput.push({
         type: "code",
-        language: language || "",
-        children: [{ type: "text", text: code.trim() }],
+        language: entity.lang || "",
+        children: [{ type: "text", text: entity.text.trim() }],
       });
     },
   };
 
   marked.use({
     renderer,
-    gfm: true,
-    breaks: true,
-    pedantic: false,
+    ...MARKED_OPTIONS,
     smartLists: true,
   });
 
   await marked.parse(markdown);
-  return objectOutput;
+  return Promise.all(objectOutput);
+}
+
+// Separates dynamic-zone components (tables, embeds...) from Blocks nodes.
+// layout keeps everything in order, with runs of Blocks nodes wrapped in
+// shared.rich-text entries.
+export function splitLayout(items) {
+  const blocks = items.filter((item) => !item.__component);
+  const layout = [];
+  items.forEach((item) => {
+    const last = layout[layout.length - 1];
+    if (item.__component) {
+      layout.push(item);
+    } else if (last?.__component === "shared.rich-text") {
+      last.body.push(item);
+    } else {
+      layout.push({ __component: "shared.rich-text", body: [item] });
+    }
+  });
+
+  return { blocks, layout, hasComponents: blocks.length < items.length };
 }
 
 async function fetchImageData(filename) {
@@ -92,7 +145,7 @@ async function fetchImageData(filename) {
     const url = new URL("/api/upload/files", BASE_URL);
     url.searchParams.set("filters[name][$eq]", filename);
 
-    const response = await fetch(url);
+    const response = await request(url.href, { headers: strapiHeaders() });
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
     }
@@ -100,7 +153,7 @@ async function fetchImageData(filename) {
     const imageData = await response.json();
     return imageData[0];
   } catch (error) {
-    console.error("Error fetching image data:", error);
+    logger.error("Error fetching image data", { error });
     return null;
   }
 }
@@ -133,22 +186,103 @@ function processImageData(imageData) {
 
   return processed;
 }
-// TODO: TO IMPLEMENT LATER
-async function createImageBlock(entity) {
-  const filename = entity?.tokens[0]?.text;
-  const imageData = await fetchImageData(filename);
+// Prefers the upload data gathered by processMarkdownImages over a lookup by filename
+async function createImageBlock(token, images, lookupUploads) {
+  const imageData =
+    images?.get(token.href) ||
+    (lookupUploads ? await fetchImageData(getFilename(token.href)) : null);
+  const image = processImageData(imageData);
+
+  // Images that never made it into the media library stay as markdown text
+  if (!image) {
+    return { type: "paragraph", children: [{ type: "text", text: token.raw }] };
+  }
+
+  // marked hands back the alt text and title HTML-escaped
+  if (token.text) image.alternativeText = decodeHtmlEntities(token.text);
+  if (token.title) image.caption = decodeHtmlEntities(token.title);
 
   return {
     type: "image",
-    image: processImageData(imageData),
+    image,
     children: [{ type: "text", text: "" }],
   };
 }
 
-function createTextBlock(type, text, options = {}) {
+// A paragraph holding nothing but a link to an oEmbed provider, the way
+// WordPress and htmlToMarkdown write embeds
+function createEmbedComponent(tokens = []) {
+  const content = tokens.filter((token) =>
+    token.type === "text" ? token.raw.trim() : token.type !== "br"
+  );
+  const [link] = content;
+  if (content.length !== 1 || link.type !== "link") return null;
+  if (link.text !== link.href) return null;
+
+  const provider = detectEmbedProvider(link.href);
+  if (!provider) return null;
+
+  return {
+    __component: "shared.embed",
+    url: link.href,
+    provider,
+    caption: null,
+  };
+}
+
+// Drops the whitespace left over where a paragraph was split around an image
+function trimNodes(nodes) {
+  const trimmed = [...nodes];
+  const first = () => trimmed[0];
+  const last = () => trimmed[trimmed.length - 1];
+
+  while (first()?.type === "text" && !(first().text = first().text.trimStart())) {
+    trimmed.shift();
+  }
+  while (last()?.type === "text" && !(last().text = last().text.trimEnd())) {
+    trimmed.pop();
+  }
+
+  return trimmed.length > 0 ? trimmed : [{ type: "text", text: "" }];
+}
+
+// Nested lists sit next to their parent item inside the list's children,
+// one indentLevel deeper, which is how the Strapi Blocks editor stores them
+function createListBlock(token, indentLevel = 0) {
+  const children = [];
+
+  token.items.forEach((item) => {
+    const inlineTokens = [];
+    const nestedLists = [];
+
+    item.tokens.forEach((child) => {
+      if (child.type === "list") {
+        nestedLists.push(createListBlock(child, indentLevel + 1));
+      } else if (child.type !== "space") {
+        // Loose items hold several paragraphs; keep them on separate lines
+        if (inlineTokens.length > 0) inlineTokens.push({ type: "br" });
+        inlineTokens.push(
+          ...(child.tokens || [{ type: "text", text: child.text ?? child.raw }])
+        );
+      }
+    });
+
+    // Blocks have no checkbox node, so task items keep their marker as text
+    if (item.task) {
+      const marker = item.checked ? "[x] " : "[ ] ";
+      inlineTokens.unshift({ type: "text", text: marker });
+    }
+
+    children.push(
+      { type: "list-item", children: parseInlineTokens(inlineTokens) },
+      ...nestedLists
+    );
+  });
+
   return {
-    type,
-    children: parseInlineParagraphFormatting(text),
-    ...options,
+    type: "list",
+    format: token.ordered ? "ordered" : "unordered",
+    ...(indentLevel > 0 && { indentLevel }),
+    children,
   };
-}
\ No newline at end of file
+}
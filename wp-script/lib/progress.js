@@ -0,0 +1,77 @@
+import { CONFIG } from "../config.js";
+
+const BAR_WIDTH = 24;
+// Redrawing on every tick would flood slow terminals
+const RENDER_INTERVAL_MS = 100;
+
+let current = null;
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+function formatLine({ label, total, counts, startedAt }) {
+  const { done, images, failed } = counts;
+  const ratio = total > 0 ? Math.min(done / total, 1) : 1;
+  const filled = Math.round(ratio * BAR_WIDTH);
+  const bar = `${"█".repeat(filled)}${"░".repeat(BAR_WIDTH - filled)}`;
+  const remaining = ((Date.now() - startedAt) / done) * (total - done);
+  const eta =
+    done > 0 && done < total ? ` · ETA ${formatDuration(remaining)}` : "";
+  return (
+    `${label} [${bar}] ${done}/${total} · ${images} images · ` +
+    `${failed} failed${eta}`
+  );
+}
+
+// Only interactive terminals get a bar; CI logs get the summaries instead
+function isEnabled() {
+  return CONFIG.LOG.PROGRESS && Boolean(process.stderr.isTTY);
+}
+
+// A single live status line on stderr, counting entries done, images and
+// failures. The logger clears it before printing and draws it again after.
+export const progress = {
+  start(label, total) {
+    this.stop();
+    current = {
+      label,
+      total,
+      counts: { done: 0, images: 0, failed: 0 },
+      startedAt: Date.now(),
+      renderedAt: 0,
+      visible: false,
+    };
+    this.redraw(true);
+  },
+
+  // key is one of done, images and failed
+  increment(key, count = 1) {
+    if (!current) return;
+    current.counts[key] += count;
+    this.redraw();
+  },
+
+  clear() {
+    if (!current?.visible) return;
+    process.stderr.write("\r\x1b[2K");
+    current.visible = false;
+  },
+
+  redraw(force = false) {
+    if (!current || !isEnabled()) return;
+    const now = Date.now();
+    const recent = now - current.renderedAt < RENDER_INTERVAL_MS;
+    if (!force && current.visible && recent) return;
+    process.stderr.write(`\r\x1b[2K${formatLine(current)}`);
+    current.renderedAt = now;
+    current.visible = true;
+  },
+
+  stop() {
+    this.clear();
+    current = null;
+  },
+};
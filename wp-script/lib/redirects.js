@@ -0,0 +1,105 @@
+import fs from "node:fs";
+import path from "node:path";
+import { CONFIG } from "../config.js";
+
+export const REDIRECT_FORMATS = [
+  "json",
+  "nginx",
+  "apache",
+  "netlify",
+  "vercel",
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// nginx and Apache match against the decoded path, WordPress links are encoded
+function toPattern(from) {
+  let decoded = from;
+  try {
+    decoded = decodeURI(from);
+  } catch {
+    // Malformed escapes are matched as they are
+  }
+  return escapeRegExp(decoded).replace(/\s/g, "\\s");
+}
+
+// Each writer turns [{ from, to }] into one file. from is a WordPress path
+// without its trailing slash; every format matches it with or without one.
+const WRITERS = {
+  json: {
+    file: "redirects.json",
+    render: (redirects) => JSON.stringify(redirects, null, 2),
+  },
+  nginx: {
+    file: "redirects.nginx.conf",
+    render: (redirects) =>
+      [
+        "# Include in the http block, then in the server block:",
+        "#   if ($redirect_uri) { return 301 $redirect_uri; }",
+        "map $uri $redirect_uri {",
+        '  default "";',
+        ...redirects.map(
+          ({ from, to }) => `  "~^${toPattern(from)}/?$" "${to}";`
+        ),
+        "}",
+      ].join("\n"),
+  },
+  apache: {
+    file: ".htaccess",
+    render: (redirects) =>
+      [
+        "RewriteEngine On",
+        ...redirects.map(
+          ({ from, to }) =>
+            `RewriteRule ^${toPattern(from.slice(1))}/?$ ${to} [R=301,L]`
+        ),
+      ].join("\n"),
+  },
+  // Netlify ignores trailing slashes when matching
+  netlify: {
+    file: "_redirects",
+    render: (redirects) =>
+      redirects.map(({ from, to }) => `${from} ${to} 301`).join("\n"),
+  },
+  vercel: {
+    file: "vercel.json",
+    render: (redirects) =>
+      JSON.stringify(
+        {
+          redirects: redirects.map(({ from, to }) => ({
+            source: `${from}{/}?`,
+            destination: to,
+            permanent: true,
+          })),
+        },
+        null,
+        2
+      ),
+  },
+};
+
+// One 301 per WordPress permalink whose route changed. links comes from
+// buildLinkMap, which leaves out entries that failed to migrate so no
+// redirect points at a missing page; shortlinks (?p=123) are left out as most
+// servers can't match on the query string.
+export function buildRedirects(links) {
+  const redirects = [];
+  links.byPermalink.forEach((route, from) => {
+    if (from === "/" || from.includes("?")) return;
+    if (from === route.replace(/\/+$/, "")) return;
+    redirects.push({ from, to: `${CONFIG.REDIRECTS.TARGET_BASE_URL}${route}` });
+  });
+  return redirects.sort((a, b) => a.from.localeCompare(b.from));
+}
+
+// Writes the redirects in every configured format, returning the file paths
+export function writeRedirects(redirects, outputDir, formats) {
+  fs.mkdirSync(path.resolve(outputDir), { recursive: true });
+
+  return formats.map((format) => {
+    const { file, render } = WRITERS[format];
+    const filePath = path.resolve(outputDir, file);
+    fs.writeFileSync(filePath, `${render(redirects)}\n`);
+    return filePath;
+  });
+}
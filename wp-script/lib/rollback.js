@@ -0,0 +1,217 @@
+import { CONFIG } from "../config.js";
+import {
+  fetchStrapiEntries,
+  fetchStrapiEntry,
+  deleteStrapiEntry,
+  fetchStrapiFile,
+  deleteStrapiFile,
+} from "./strapi.js";
+import { mapSettled } from "./http.js";
+import { RunManifest } from "./run-manifest.js";
+import { MigrationStateManager } from "./migration-state.js";
+import { ImageCacheManager } from "./image-cache.js";
+import { toMediaFields } from "./mapping.js";
+import { logger } from "./logger.js";
+
+// Strapi saves the draft and published versions of an entry a few
+// milliseconds apart, so only later changes count as edits
+const EDIT_TOLERANCE_MS = 1000;
+
+// Fields that can hold media, as field name -> "media" or "component". Blocks
+// content comes back with its image nodes without being populated.
+const MEDIA_FIELDS = {
+  post: { coverImage: "media", seo: "component", layout: "component" },
+  page: { seo: "component", layout: "component" },
+  author: { avatar: "media" },
+};
+
+// lastWrite is the latest updatedAt this or a later run saved. Without both
+// timestamps there's no telling, so it counts as edited.
+function isEdited(current, lastWrite) {
+  const currentTime = Date.parse(current.updatedAt);
+  const recordedTime = Date.parse(lastWrite);
+  if (Number.isNaN(currentTime) || Number.isNaN(recordedTime)) return true;
+  return currentTime - recordedTime > EDIT_TOLERANCE_MS;
+}
+
+async function rollbackItem(fetchCurrent, remove, lastWrite, force) {
+  const current = await fetchCurrent();
+  if (!current) return "missing";
+  if (!force && isEdited(current, lastWrite)) return "edited";
+  await remove();
+  return "deleted";
+}
+
+// Ids of the media library files anywhere in a populated entry: media
+// fields, components and the image nodes of Blocks content
+function collectMediaIds(value, ids = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectMediaIds(item, ids));
+  } else if (value && typeof value === "object") {
+    if (value.mime && value.id) ids.add(value.id);
+    Object.values(value).forEach((item) => collectMediaIds(item, ids));
+  }
+  return ids;
+}
+
+// Populates media fields and the media inside components and dynamic zones
+function toPopulateParams(fields) {
+  const params = {};
+  Object.entries(fields).forEach(([field, kind]) => {
+    if (kind === "media") params[`populate[${field}]`] = "true";
+    else params[`populate[${field}][populate]`] = "*";
+  });
+  return params;
+}
+
+// Every collection whose entries can point at media, as { apiPath: fields }
+function listMediaCollections(mappedTypes) {
+  const { API, MIGRATION } = CONFIG;
+  return {
+    [API.POSTS_PATH]: MEDIA_FIELDS.post,
+    ...(MIGRATION.PAGES && { [API.PAGES_PATH]: MEDIA_FIELDS.page }),
+    ...(MIGRATION.AUTHORS && { [API.AUTHORS_PATH]: MEDIA_FIELDS.author }),
+    ...Object.fromEntries(
+      mappedTypes.map((type) => [type.target, toMediaFields(type)])
+    ),
+  };
+}
+
+// Media that any entry left in Strapi points at, whichever run saved it, as
+// the image cache reuses uploads across runs. Null when a collection can't
+// be read, since then no file is known to be safe to delete.
+async function findReferencedMedia(collections) {
+  // A published version can still point at media its draft no longer uses
+  const reads = Object.entries(collections).flatMap(([apiPath, fields]) =>
+    ["draft", "published"].map((status) => ({
+      apiPath,
+      params: { status, ...toPopulateParams(fields) },
+    }))
+  );
+  const results = await mapSettled(
+    reads,
+    CONFIG.MIGRATION.CONCURRENCY,
+    ({ apiPath, params }) => fetchStrapiEntries(apiPath, params)
+  );
+
+  const failures = results.filter((result) => result.status === "rejected");
+  if (failures.length > 0) {
+    logger.warn("Couldn't read every collection, so no media is deleted", {
+      failures: failures.map((failure) => failure.reason.message),
+    });
+    return null;
+  }
+
+  const ids = new Set();
+  results.forEach((result) => collectMediaIds(result.value, ids));
+  return ids;
+}
+
+// outcomes lists the buckets besides deleted, missing and failed
+function summarize(items, results, outcomes = ["edited"]) {
+  const summary = {
+    deleted: [],
+    ...Object.fromEntries(outcomes.map((outcome) => [outcome, []])),
+    missing: [],
+    failed: [],
+  };
+  results.forEach((result, index) => {
+    if (result.status === "rejected") {
+      summary.failed.push({ ...items[index], error: result.reason.message });
+    } else {
+      summary[result.value].push(items[index]);
+    }
+  });
+  return summary;
+}
+
+// Deletes the entries and media a migrate run created, newest first so
+// children go before the parents they point at. Anything edited in Strapi
+// since the run is left alone unless options.force is set; saves by later
+// runs don't count as edits. Media that any remaining entry uses is kept;
+// options.mappedTypes are the loadMapping types whose collections are
+// checked too. runId defaults to the latest run. Resolves with { runId,
+// entries, media }, each listing what was deleted, edited, referenced,
+// missing and failed.
+export async function rollbackRun(runId, options = {}) {
+  const { force = false, mappedTypes = [] } = options;
+  const manifest = RunManifest.getInstance();
+  const id = runId || manifest.listRuns().at(-1);
+  if (!id) throw new Error("No migration runs to roll back");
+
+  const run = manifest.read(id);
+  const writes = manifest.lastWrites(
+    manifest.listRuns().filter((other) => other >= id)
+  );
+  logger.info(`Rolling back run ${id}`, {
+    entries: run.entries.length,
+    media: run.media.length,
+  });
+
+  // One at a time: deleting a parent page before its children fails
+  const entries = [...run.entries].reverse();
+  const entryResults = await mapSettled(entries, 1, (entry) =>
+    rollbackItem(
+      () =>
+        fetchStrapiEntry(entry.apiPath, entry.documentId, { status: "draft" }),
+      () => deleteStrapiEntry(entry.apiPath, entry.documentId),
+      writes.entry(entry.apiPath, entry.documentId),
+      force
+    )
+  );
+  const entrySummary = summarize(entries, entryResults);
+
+  const referenced =
+    run.media.length > 0
+      ? await findReferencedMedia(listMediaCollections(mappedTypes))
+      : new Set();
+
+  const media = [...run.media].reverse();
+  const mediaResults = await mapSettled(
+    media,
+    CONFIG.MIGRATION.CONCURRENCY,
+    async (file) => {
+      if (!referenced || referenced.has(file.id)) return "referenced";
+      return rollbackItem(
+        () => fetchStrapiFile(file.id),
+        () => deleteStrapiFile(file.id),
+        writes.media(file.id),
+        force
+      );
+    }
+  );
+
+  const summary = {
+    runId: id,
+    entries: entrySummary,
+    media: summarize(media, mediaResults, ["edited", "referenced"]),
+  };
+
+  // The next migrate imports deleted posts again and re-uploads their images
+  MigrationStateManager.getInstance().forgetDocuments(
+    summary.entries.deleted.map((entry) => entry.documentId)
+  );
+  if (summary.media.deleted.length > 0) {
+    await ImageCacheManager.getInstance().reconcile();
+  }
+
+  const counts = (group) =>
+    Object.fromEntries(
+      Object.entries(group).map(([key, items]) => [key, items.length])
+    );
+  manifest.recordRollback(id, {
+    force,
+    entries: counts(summary.entries),
+    media: counts(summary.media),
+  });
+
+  logger.info("Rollback summary", {
+    entries: counts(summary.entries),
+    media: counts(summary.media),
+  });
+  if (!force && summary.entries.edited.length + summary.media.edited.length) {
+    logger.warn("Edited since the run and kept; use --force to delete them");
+  }
+
+  return summary;
+}
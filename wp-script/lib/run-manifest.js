@@ -0,0 +1,211 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { CONFIG } from '../config.js';
+import { readNdjson } from './utils.js';
+
+// Records what each migrate run created in Strapi so rollback can undo it.
+// One NDJSON file per run under RUNS.DIR, appended as the run goes so a
+// crashed run can still be rolled back.
+export const RunManifest = (function() {
+  let instance;
+
+  const entryKey = (apiPath, documentId) => `${apiPath}/${documentId}`;
+
+  function createInstance() {
+    const manifest = {
+      _runId: null,
+      _filePath: null,
+      _entries: new Map(),
+      _media: new Map(),
+
+      // Nothing is recorded until a run starts, so dry runs leave no manifest
+      start(command) {
+        this._runId = new Date().toISOString().replace(/[:.]/g, '-');
+        this._filePath = path.resolve(CONFIG.RUNS.DIR, `${this._runId}.ndjson`);
+        this._entries.clear();
+        this._media.clear();
+        this._append({
+          type: 'run',
+          runId: this._runId,
+          command,
+          startedAt: new Date().toISOString(),
+        });
+        return this._runId;
+      },
+
+      get runId() {
+        return this._runId;
+      },
+
+      get filePath() {
+        return this._filePath;
+      },
+
+      _append(line) {
+        fs.mkdirSync(path.dirname(this._filePath), { recursive: true });
+        fs.appendFileSync(this._filePath, `${JSON.stringify(line)}\n`);
+      },
+
+      // An entry this run created; data is Strapi's response data
+      trackEntry(apiPath, data) {
+        if (!this._runId || !data?.documentId) return;
+        const line = {
+          type: 'entry',
+          apiPath,
+          documentId: data.documentId,
+          updatedAt: data.updatedAt,
+        };
+        this._entries.set(entryKey(apiPath, data.documentId), line);
+        this._append(line);
+      },
+
+      // Later saves by the same run (links, publishing) aren't edits, and
+      // neither are this run's saves to entries an earlier run created
+      touchEntry(apiPath, data) {
+        if (!this._runId || !data?.documentId) return;
+        if (this._entries.has(entryKey(apiPath, data.documentId))) {
+          this.trackEntry(apiPath, data);
+          return;
+        }
+        this._append({
+          type: 'entry-update',
+          apiPath,
+          documentId: data.documentId,
+          updatedAt: data.updatedAt,
+        });
+      },
+
+      // A file this run uploaded; file is Strapi's upload response item
+      trackMedia(file) {
+        if (!this._runId || !file?.id) return;
+        const line = { type: 'media', id: file.id, updatedAt: file.updatedAt };
+        this._media.set(file.id, line);
+        this._append(line);
+      },
+
+      touchMedia(file) {
+        if (!this._runId || !file?.id) return;
+        if (this._media.has(file.id)) {
+          this.trackMedia(file);
+          return;
+        }
+        this._append({
+          type: 'media-update',
+          id: file.id,
+          updatedAt: file.updatedAt,
+        });
+      },
+
+      getStats() {
+        return { entries: this._entries.size, media: this._media.size };
+      },
+
+      // Run ids, oldest first
+      listRuns() {
+        const dir = path.resolve(CONFIG.RUNS.DIR);
+        if (!fs.existsSync(dir)) return [];
+        return fs
+          .readdirSync(dir)
+          .filter((file) => file.endsWith('.ndjson'))
+          .map((file) => file.slice(0, -'.ndjson'.length))
+          .sort();
+      },
+
+      // Parsed lines of a run's manifest
+      _readLines(runId) {
+        const filePath = path.resolve(CONFIG.RUNS.DIR, `${runId}.ndjson`);
+        if (!fs.existsSync(filePath)) {
+          throw new Error(`Run manifest not found: ${filePath}`);
+        }
+
+        return readNdjson(filePath, 'run manifest');
+      },
+
+      // Reads a run back as { runId, command, startedAt, entries, media,
+      // rollbacks }, entries and media in the order they were created
+      read(runId) {
+        const run = { runId, rollbacks: [] };
+        const entries = new Map();
+        const media = new Map();
+
+        // Later lines win
+        this._readLines(runId).forEach((line) => {
+          if (line.type === 'run') {
+            run.command = line.command;
+            run.startedAt = line.startedAt;
+          } else if (line.type === 'entry') {
+            entries.set(entryKey(line.apiPath, line.documentId), line);
+          } else if (line.type === 'media') {
+            media.set(line.id, line);
+          } else if (line.type === 'rollback') {
+            run.rollbacks.push(line);
+          }
+        });
+
+        return {
+          ...run,
+          entries: [...entries.values()],
+          media: [...media.values()],
+        };
+      },
+
+      // The latest updatedAt any of these runs saved, as { entry(apiPath,
+      // documentId), media(id) }, so rollback can tell the tool's own later
+      // writes from edits made in Strapi
+      lastWrites(runIds) {
+        const entries = new Map();
+        const media = new Map();
+        const keep = (map, key, updatedAt) => {
+          if (!updatedAt) return;
+          const previous = map.get(key);
+          if (!previous || Date.parse(updatedAt) > Date.parse(previous)) {
+            map.set(key, updatedAt);
+          }
+        };
+
+        runIds.forEach((runId) => {
+          this._readLines(runId).forEach((line) => {
+            if (line.type === 'entry' || line.type === 'entry-update') {
+              keep(
+                entries,
+                entryKey(line.apiPath, line.documentId),
+                line.updatedAt
+              );
+            } else if (line.type === 'media' || line.type === 'media-update') {
+              keep(media, line.id, line.updatedAt);
+            }
+          });
+        });
+
+        return {
+          entry: (apiPath, documentId) =>
+            entries.get(entryKey(apiPath, documentId)),
+          media: (id) => media.get(id),
+        };
+      },
+
+      recordRollback(runId, summary) {
+        const filePath = path.resolve(CONFIG.RUNS.DIR, `${runId}.ndjson`);
+        fs.appendFileSync(
+          filePath,
+          `${JSON.stringify({
+            type: 'rollback',
+            at: new Date().toISOString(),
+            ...summary,
+          })}\n`
+        );
+      }
+    };
+
+    return manifest;
+  }
+
+  return {
+    getInstance: function() {
+      if (!instance) {
+        instance = createInstance();
+      }
+      return instance;
+    }
+  };
+})();
@@ -0,0 +1,97 @@
+import { CONFIG } from "../config.js";
+import { decodeHtmlEntities, wpHeaders } from "./utils.js";
+import { request } from "./http.js";
+import { uploadMedia } from "./media.js";
+import { logger } from "./logger.js";
+
+// Yoast ships its metadata on every post as yoast_head_json
+function readYoastHead(entity) {
+  const head = entity.yoast_head_json;
+  if (!head) return null;
+  return {
+    title: head.og_title || head.title,
+    description: head.description || head.og_description,
+    canonical: head.canonical,
+    ogImage: head.og_image?.[0]?.url,
+  };
+}
+
+// Attributes of every <meta> and <link> tag in a rendered <head>
+function parseHeadTags(html) {
+  return [...html.matchAll(/<(?:meta|link)\s([^>]*?)\/?>/gi)].map(
+    ([, attributes]) =>
+      Object.fromEntries(
+        [...attributes.matchAll(/([\w:-]+)=(["'])(.*?)\2/g)].map(
+          ([, name, , value]) => [name.toLowerCase(), decodeHtmlEntities(value)]
+        )
+      )
+  );
+}
+
+// Rank Math only renders its tags through the getHead endpoint, which its
+// "Headless CMS Support" setting turns on
+async function fetchRankMathHead(entity) {
+  if (!entity.link) return null;
+
+  const url = new URL("/wp-json/rankmath/v1/getHead", CONFIG.WP.BASE_URL);
+  url.searchParams.set("url", entity.link);
+  const response = await request(url.href, { headers: wpHeaders() });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch Rank Math head: ${response.status}`);
+  }
+
+  const { success, head } = await response.json();
+  if (!success || !head) return null;
+
+  const tags = parseHeadTags(head);
+  const meta = (key) =>
+    tags.find((tag) => tag.name === key || tag.property === key)?.content;
+  const title = head.match(/<title>([\s\S]*?)<\/title>/i)?.[1];
+  return {
+    title: meta("og:title") || (title && decodeHtmlEntities(title)),
+    description: meta("description") || meta("og:description"),
+    canonical: tags.find((tag) => tag.rel === "canonical")?.href,
+    ogImage: meta("og:image"),
+  };
+}
+
+const SEO_READERS = {
+  yoast: readYoastHead,
+  rankmath: fetchRankMathHead,
+};
+
+// Maps the SEO plugin's metadata (MIGRATION.SEO) onto the shared.seo component
+export async function buildSeo(
+  entity,
+  { dryRun = false, report, log = logger } = {}
+) {
+  const readHead = SEO_READERS[CONFIG.MIGRATION.SEO];
+  if (!readHead) return null;
+
+  let head;
+  try {
+    head = await readHead(entity);
+  } catch (error) {
+    log.error("Failed to read SEO metadata", { error });
+    report?.warnings.push(`SEO metadata failed: ${error.message}`);
+    return null;
+  }
+  if (!head) return null;
+
+  const seo = {
+    metaTitle: head.title || null,
+    metaDescription: head.description || null,
+    canonicalUrl: head.canonical || null,
+  };
+
+  if (head.ogImage && !dryRun) {
+    try {
+      seo.ogImage = (await uploadMedia(head.ogImage)).id;
+    } catch (error) {
+      log.error("Failed to upload OG image", { error });
+      report?.warnings.push(`OG image failed: ${error.message}`);
+    }
+  }
+
+  return seo;
+}
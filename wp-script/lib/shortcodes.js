@@ -0,0 +1,134 @@
+import { CONFIG } from "../config.js";
+import { decodeHtmlEntities, stripHtml, wpHeaders } from "./utils.js";
+import { request } from "./http.js";
+
+const AUDIO_SOURCES = ["src", "mp3", "m4a", "ogg", "wav", "wma", "flac"];
+const VIDEO_SOURCES = ["src", "mp4", "m4v", "webm", "ogv", "wmv", "flv"];
+
+const shortcodeHandlers = new Map();
+
+// Handlers receive (attrs, content, options) and return, or resolve with, the
+// HTML that replaces the shortcode. options are those given to htmlToMarkdown.
+// Registering a name again replaces its handler.
+export function registerShortcode(name, handler) {
+  shortcodeHandlers.set(name, handler);
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const escapeAttribute = (text) => text.replace(/"/g, "&quot;");
+
+// Same shape as WordPress' get_shortcode_regex(): [[escaped]], [closed /]
+// [enclosing]content[/enclosing] and plain [tag attr="value"]
+function shortcodeRegex(names) {
+  const tags = names.map(escapeRegExp).join("|");
+  return new RegExp(
+    `\\[(\\[?)(${tags})(?![\\w-])([^\\]\\/]*(?:\\/(?!\\])[^\\]\\/]*)*?)` +
+      `(?:(\\/)\\]|\\](?:([\\s\\S]*?)\\[\\/\\2\\])?)(\\]?)`,
+    "g"
+  );
+}
+
+// Rendered content runs through wptexturize, which curls the quotes around
+// attribute values of shortcodes that weren't registered on the site
+function parseAttributes(text) {
+  const normalized = decodeHtmlEntities(text).replace(/[“”″]/g, '"');
+  const attrs = {};
+  for (const [, name, ...values] of normalized.matchAll(
+    /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s'"]+))/g
+  )) {
+    attrs[name.toLowerCase()] = values.find((value) => value !== undefined);
+  }
+  return attrs;
+}
+
+// Expands every registered shortcode in html, innermost first. Shortcodes
+// without a handler are left as they are.
+export async function expandShortcodes(html, options = {}) {
+  if (shortcodeHandlers.size === 0 || !html.includes("[")) return html;
+
+  const regex = shortcodeRegex([...shortcodeHandlers.keys()]);
+  let result = "";
+  let lastIndex = 0;
+
+  for (const match of html.matchAll(regex)) {
+    const [shortcode, open, name, attrs, , content = "", close] = match;
+    result += html.slice(lastIndex, match.index);
+    lastIndex = match.index + shortcode.length;
+
+    // [[tag]] is how WordPress escapes a literal shortcode
+    if (open && close) {
+      result += shortcode.slice(1, -1);
+      continue;
+    }
+
+    const handler = shortcodeHandlers.get(name);
+    result +=
+      (await handler(
+        parseAttributes(attrs),
+        await expandShortcodes(content, options),
+        options
+      )) ?? "";
+  }
+
+  return result + html.slice(lastIndex);
+}
+
+function mediaLink(attrs, sources) {
+  const src = sources.map((key) => attrs[key]).find(Boolean);
+  return src ? `<p><a href="${src}">${src}</a></p>` : "";
+}
+
+// [caption]<img ...> Text[/caption]: the text becomes the image title, which
+// parseMarkdownToObject keeps as the image caption
+registerShortcode("caption", (attrs, content) => {
+  const image = content.match(
+    /<a\b[^>]*>\s*<img\b[^>]*>\s*<\/a>|<img\b[^>]*>/i
+  );
+  if (!image) return content;
+
+  const caption = attrs.caption || stripHtml(content.replace(image[0], ""));
+  const titled = caption
+    ? image[0].replace(/<img\b/i, `<img title="${escapeAttribute(caption)}"`)
+    : image[0];
+  return `<figure>${titled}</figure>`;
+});
+
+// [gallery ids="1,2,3"]: looks the attachments up in WordPress
+registerShortcode("gallery", async (attrs, content, { report } = {}) => {
+  const ids = (attrs.ids || attrs.include || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+  if (ids.length === 0) {
+    report?.warnings.push("Gallery shortcode without ids was skipped");
+    return "";
+  }
+
+  const url = new URL(`${CONFIG.WP.API_PATH}/media`, CONFIG.WP.BASE_URL);
+  url.searchParams.set("include", ids.join(","));
+  url.searchParams.set("orderby", "include");
+  url.searchParams.set("per_page", String(Math.min(ids.length, 100)));
+
+  const response = await request(url.href, { headers: wpHeaders() });
+  if (!response.ok) {
+    report?.warnings.push(
+      `Gallery shortcode media lookup failed: ${response.status}`
+    );
+    return "";
+  }
+
+  const media = await response.json();
+  return media
+    .map((item) => {
+      const caption = stripHtml(item.caption?.rendered);
+      const title = caption ? ` title="${escapeAttribute(caption)}"` : "";
+      const alt = ` alt="${escapeAttribute(item.alt_text || "")}"`;
+      return `<figure><img src="${item.source_url}"${alt}${title}></figure>`;
+    })
+    .join("");
+});
+
+// Strapi Blocks have no audio or video node, so these become links to the file
+registerShortcode("audio", (attrs) => mediaLink(attrs, AUDIO_SOURCES));
+registerShortcode("video", (attrs) => mediaLink(attrs, VIDEO_SOURCES));
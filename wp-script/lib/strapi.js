@@ -0,0 +1,152 @@
+import { CONFIG } from "../config.js";
+import { strapiHeaders } from "./utils.js";
+import { request } from "./http.js";
+import { RunManifest } from "./run-manifest.js";
+
+// Pages through a Strapi collection; params are extra query string entries
+export async function fetchStrapiEntries(apiPath, params = {}) {
+  const entries = [];
+
+  let page = 1;
+  let pageCount = 1;
+
+  do {
+    const url = new URL(apiPath, CONFIG.API.BASE_URL);
+    Object.entries(params).forEach(([key, value]) => {
+      url.searchParams.set(key, value);
+    });
+    url.searchParams.set("pagination[page]", page);
+    url.searchParams.set("pagination[pageSize]", 100);
+
+    const response = await request(url.href, { headers: strapiHeaders() });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${apiPath}: ${response.status}`);
+    }
+
+    const { data, meta } = await response.json();
+    entries.push(...data);
+
+    pageCount = meta?.pagination?.pageCount || 1;
+    page++;
+  } while (page <= pageCount);
+
+  return entries;
+}
+
+// Loads slug, wpId and sourceHash of every entry in a Strapi collection so we
+// can upsert by them. Resolves with { bySlug, byWpId }.
+export async function fetchExistingEntries(apiPath, params = {}) {
+  const entries = await fetchStrapiEntries(apiPath, {
+    ...params,
+    "fields[0]": "slug",
+    "fields[1]": "wpId",
+    "fields[2]": "sourceHash",
+  });
+
+  const bySlug = new Map();
+  const byWpId = new Map();
+  entries.forEach((entry) => {
+    if (entry.slug) bySlug.set(entry.slug, entry);
+    if (entry.wpId) byWpId.set(entry.wpId, entry);
+  });
+
+  return { bySlug, byWpId };
+}
+
+// The entry a WordPress entity was saved as, matched by wpId or slug
+export function findExistingEntry(existing, entity) {
+  if (!existing) return null;
+  return existing.byWpId.get(entity.id) || existing.bySlug.get(entity.slug);
+}
+
+// Creates an entry, or updates it in place when a documentId is given.
+// params go on the query string, e.g. { status: "published" } to publish.
+export async function saveStrapiEntry(apiPath, documentId, data, params = {}) {
+  const url = new URL(
+    documentId ? `${apiPath}/${documentId}` : apiPath,
+    CONFIG.API.BASE_URL
+  );
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined) url.searchParams.set(key, value);
+  });
+
+  const response = await request(url.href, {
+    method: documentId ? "PUT" : "POST",
+    headers: strapiHeaders({ "Content-Type": "application/json" }),
+    body: JSON.stringify({ data }),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(
+      `HTTP error! status: ${response.status}, details: ${JSON.stringify(
+        errorData
+      )}`
+    );
+  }
+
+  // Recorded in the run manifest so rollback can delete what this run created
+  const body = await response.json();
+  if (documentId) RunManifest.getInstance().touchEntry(apiPath, body.data);
+  else RunManifest.getInstance().trackEntry(apiPath, body.data);
+  return body;
+}
+
+// One entry by documentId, or null when it doesn't exist
+export async function fetchStrapiEntry(apiPath, documentId, params = {}) {
+  const url = new URL(`${apiPath}/${documentId}`, CONFIG.API.BASE_URL);
+  Object.entries(params).forEach(([key, value]) => {
+    url.searchParams.set(key, value);
+  });
+
+  const response = await request(url.href, { headers: strapiHeaders() });
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(
+      `Failed to fetch ${apiPath}/${documentId}: ${response.status}`
+    );
+  }
+  return (await response.json()).data;
+}
+
+// Deletes every locale and the draft and published versions of an entry
+export async function deleteStrapiEntry(apiPath, documentId) {
+  const url = new URL(`${apiPath}/${documentId}`, CONFIG.API.BASE_URL);
+  const response = await request(url.href, {
+    method: "DELETE",
+    headers: strapiHeaders(),
+  });
+  if (!response.ok) {
+    throw new Error(
+      `Failed to delete ${apiPath}/${documentId}: ${response.status}`
+    );
+  }
+}
+
+// A file of the media library, or null when it doesn't exist
+export async function fetchStrapiFile(id) {
+  const url = new URL(
+    `${CONFIG.API.UPLOAD_PATH}/files/${id}`,
+    CONFIG.API.BASE_URL
+  );
+  const response = await request(url.href, { headers: strapiHeaders() });
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Failed to fetch file ${id}: ${response.status}`);
+  }
+  return response.json();
+}
+
+export async function deleteStrapiFile(id) {
+  const url = new URL(
+    `${CONFIG.API.UPLOAD_PATH}/files/${id}`,
+    CONFIG.API.BASE_URL
+  );
+  const response = await request(url.href, {
+    method: "DELETE",
+    headers: strapiHeaders(),
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to delete file ${id}: ${response.status}`);
+  }
+}
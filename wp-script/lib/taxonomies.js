@@ -0,0 +1,76 @@
+import { CONFIG } from "../config.js";
+import { fetchWPData } from "./functions.js";
+import {
+  fetchExistingEntries,
+  findExistingEntry,
+  saveStrapiEntry,
+} from "./strapi.js";
+import { mapSettled } from "./http.js";
+import { collectFailures, groupByDepth, hashContent } from "./utils.js";
+import { logger } from "./logger.js";
+
+// Upserts one WordPress taxonomy into a Strapi collection, matched by wpId or slug.
+// Terms whose source and parent haven't changed since the last run are left as
+// they are. Returns a Map of WordPress term ID -> Strapi documentId.
+async function migrateTerms(taxonomy, apiPath, { hierarchical = false } = {}) {
+  const terms = await fetchWPData(
+    CONFIG.WP.BASE_URL,
+    `${CONFIG.WP.API_PATH}/${taxonomy}`,
+    { perPage: CONFIG.MIGRATION.PER_PAGE }
+  );
+
+  const existing = await fetchExistingEntries(apiPath);
+
+  const documentIds = new Map();
+  const failures = [];
+
+  for (const level of hierarchical ? groupByDepth(terms) : [terms]) {
+    const results = await mapSettled(
+      level,
+      CONFIG.MIGRATION.CONCURRENCY,
+      async (term) => {
+        const match = findExistingEntry(existing, term);
+        const fields = {
+          name: term.name,
+          slug: term.slug,
+          description: term.description,
+          ...(hierarchical && {
+            parent: documentIds.get(term.parent) || null,
+          }),
+        };
+        const sourceHash = hashContent(fields);
+        if (match && match.sourceHash === sourceHash) {
+          documentIds.set(term.id, match.documentId);
+          return;
+        }
+
+        const { data } = await saveStrapiEntry(apiPath, match?.documentId, {
+          ...fields,
+          wpId: term.id,
+          sourceHash,
+        });
+        documentIds.set(term.id, data.documentId);
+      }
+    );
+
+    failures.push(...collectFailures(level, results));
+  }
+
+  if (failures.length > 0) {
+    logger.error(`Some ${taxonomy} failed to migrate`, { failures });
+  }
+  logger.info(`Migrated ${documentIds.size}/${terms.length} ${taxonomy}`);
+
+  return documentIds;
+}
+
+export async function migrateTaxonomies() {
+  const categories = await migrateTerms(
+    "categories",
+    CONFIG.API.CATEGORIES_PATH,
+    { hierarchical: true }
+  );
+  const tags = await migrateTerms("tags", CONFIG.API.TAGS_PATH);
+
+  return { categories, tags };
+}
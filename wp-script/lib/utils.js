@@ -1,9 +1,26 @@
+import fs from "node:fs";
+import path from "node:path";
+import { createHash } from "node:crypto";
+import { pathToFileURL } from "node:url";
+import { Lexer } from "marked";
 import { CONFIG } from "../config.js";
+import { request } from "./http.js";
+import { REDIRECT_FORMATS } from "./redirects.js";
+import { RunManifest } from "./run-manifest.js";
+import { logger, LOG_LEVELS } from "./logger.js";
+
+const WP_POST_STATUSES = ["publish", "future", "draft", "pending", "private", "any"];
+const MIGRATION_MODES = ["upsert", "create"];
+const SEO_SOURCES = ["yoast", "rankmath", ""];
 
-// Update validateConfig to initialize properly
 export function validateConfig() {
   const required = ["BASE_URL", "UPLOAD_PATH", "POSTS_PATH"];
-  const missing = required.filter((key) => !CONFIG.API[key]);
+  const missing = [
+    ...required.filter((key) => !CONFIG.API[key]).map((key) => `API.${key}`),
+    ...["BASE_URL", "API_PATH", "POST_TYPE"]
+      .filter((key) => !CONFIG.WP[key])
+      .map((key) => `WP.${key}`),
+  ];
 
   if (missing.length > 0) {
     throw new Error(`Missing required configuration: ${missing.join(", ")}`);
@@ -13,21 +30,252 @@ export function validateConfig() {
     if (!isValidUrl(CONFIG.API.BASE_URL)) {
       throw new Error("Invalid BASE_URL in configuration");
     }
+
+    if (!isValidUrl(CONFIG.WP.BASE_URL)) {
+      throw new Error("Invalid WordPress BASE_URL in configuration");
+    }
+
+    if (Boolean(CONFIG.WP.USERNAME) !== Boolean(CONFIG.WP.APP_PASSWORD)) {
+      throw new Error("WordPress USERNAME and APP_PASSWORD must be set together");
+    }
+
+    const { MODE, CONCURRENCY, PER_PAGE, FILTERS, GUTENBERG, SEO } =
+      CONFIG.MIGRATION;
+
+    if (GUTENBERG && !CONFIG.WP.USERNAME) {
+      throw new Error(
+        "GUTENBERG needs WordPress USERNAME and APP_PASSWORD to read raw content"
+      );
+    }
+
+    if (!MIGRATION_MODES.includes(MODE)) {
+      throw new Error(
+        `Invalid MODE "${MODE}", expected one of: ${MIGRATION_MODES.join(", ")}`
+      );
+    }
+
+    if (!SEO_SOURCES.includes(SEO)) {
+      throw new Error(
+        `Invalid SEO source "${SEO}", expected "yoast", "rankmath" or empty`
+      );
+    }
+
+    if (!Number.isInteger(CONCURRENCY) || CONCURRENCY < 1) {
+      throw new Error("CONCURRENCY must be a positive integer");
+    }
+
+    if (!Number.isInteger(CONFIG.HTTP.CONCURRENCY) || CONFIG.HTTP.CONCURRENCY < 1) {
+      throw new Error("HTTP.CONCURRENCY must be a positive integer");
+    }
+
+    if (!Number.isInteger(CONFIG.HTTP.RETRIES) || CONFIG.HTTP.RETRIES < 0) {
+      throw new Error("HTTP.RETRIES must be a non-negative integer");
+    }
+
+    Object.entries(CONFIG.HTTP.RATE_LIMITS).forEach(([host, limit]) => {
+      if (typeof limit !== "number" || Number.isNaN(limit) || limit < 0) {
+        throw new Error(`Invalid rate limit for ${host}: ${limit}`);
+      }
+    });
+
+    Object.entries(CONFIG.LINKS.TEMPLATES).forEach(([type, template]) => {
+      if (template && typeof template !== "string") {
+        throw new Error(`Link template for ${type} must be a string`);
+      }
+    });
+
+    const formats = CONFIG.REDIRECTS.FORMATS;
+    if (!Array.isArray(formats)) {
+      throw new Error("REDIRECTS.FORMATS must be an array");
+    }
+    formats
+      .filter((format) => !REDIRECT_FORMATS.includes(format))
+      .forEach((format) => {
+        throw new Error(
+          `Invalid redirect format "${format}", expected any of: ${REDIRECT_FORMATS.join(", ")}`
+        );
+      });
+
+    if (!LOG_LEVELS.includes(CONFIG.LOG.LEVEL)) {
+      throw new Error(
+        `Invalid LOG.LEVEL "${CONFIG.LOG.LEVEL}", expected one of: ${LOG_LEVELS.join(", ")}`
+      );
+    }
+
+    const { THRESHOLD } = CONFIG.VERIFY;
+    if (typeof THRESHOLD !== "number" || !(THRESHOLD >= 0 && THRESHOLD <= 1)) {
+      throw new Error("VERIFY.THRESHOLD must be a number between 0 and 1");
+    }
+
+    if (!Number.isInteger(PER_PAGE) || PER_PAGE < 1 || PER_PAGE > 100) {
+      throw new Error("PER_PAGE must be an integer between 1 and 100");
+    }
+
+    ["after", "modifiedAfter"].forEach((key) => {
+      if (FILTERS[key] && Number.isNaN(Date.parse(FILTERS[key]))) {
+        throw new Error(`Invalid date for ${key} filter: ${FILTERS[key]}`);
+      }
+    });
+
+    if (FILTERS.status && !WP_POST_STATUSES.includes(FILTERS.status)) {
+      throw new Error(
+        `Invalid status filter "${FILTERS.status}", expected one of: ${WP_POST_STATUSES.join(", ")}`
+      );
+    }
   } catch (error) {
     throw new Error(`Configuration validation failed: ${error.message}`);
   }
 }
 
+// Bearer auth for every Strapi request when an API token is configured
+export function strapiHeaders(headers = {}) {
+  if (!CONFIG.API.TOKEN) return headers;
+  return { ...headers, Authorization: `Bearer ${CONFIG.API.TOKEN}` };
+}
+
+// Basic auth with a WordPress Application Password, needed for context=edit
+export function wpHeaders(headers = {}) {
+  if (!CONFIG.WP.USERNAME) return headers;
+
+  const credentials = Buffer.from(
+    `${CONFIG.WP.USERNAME}:${CONFIG.WP.APP_PASSWORD}`
+  ).toString("base64");
+  return { ...headers, Authorization: `Basic ${credentials}` };
+}
+
+// Recursively merges plain objects from source into target, skipping undefined values
+export function mergeConfig(target, source = {}) {
+  Object.entries(source).forEach(([key, value]) => {
+    if (value === undefined) return;
+
+    if (
+      value &&
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      target[key] &&
+      typeof target[key] === "object"
+    ) {
+      mergeConfig(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+  return target;
+}
+
+// Reads a JSON file, or imports a JS module and returns its default export or
+// the named one. Throws with label when the file doesn't exist.
+export async function loadDataFile(filePath, exportName, label = "File") {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`${label} not found: ${resolved}`);
+  }
+
+  if (resolved.endsWith(".json")) {
+    return JSON.parse(fs.readFileSync(resolved, "utf8"));
+  }
+
+  const module = await import(pathToFileURL(resolved).href);
+  return module.default || module[exportName] || {};
+}
+
+// Writes then renames so a crash mid-write never leaves a corrupt file behind
+export function writeFileAtomic(filePath, content) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tmpPath, content);
+  fs.renameSync(tmpPath, filePath);
+}
+
+// Parsed lines of an append-only NDJSON file. A torn last line from a crash is
+// skipped with a warning naming label.
+export function readNdjson(filePath, label) {
+  return fs
+    .readFileSync(filePath, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .flatMap((text) => {
+      try {
+        return [JSON.parse(text)];
+      } catch {
+        logger.warn(`Skipping unreadable ${label} line`);
+        return [];
+      }
+    });
+}
+
+// Groups WordPress terms or pages by depth so every parent is saved before
+// its children
+export function groupByDepth(terms) {
+  const byId = new Map(terms.map((term) => [term.id, term]));
+
+  const depthOf = (term, seen = new Set()) => {
+    if (!term.parent || !byId.has(term.parent) || seen.has(term.id)) return 0;
+    seen.add(term.id);
+    return 1 + depthOf(byId.get(term.parent), seen);
+  };
+
+  const levels = [];
+  terms.forEach((term) => {
+    const depth = depthOf(term);
+    (levels[depth] ||= []).push(term);
+  });
+  return levels.filter(Boolean);
+}
+
+// "slug: message" for every entity that mapSettled rejected
+export function collectFailures(entities, results) {
+  return results.flatMap((result, index) =>
+    result.status === "rejected"
+      ? [`${entities[index].slug}: ${result.reason.message}`]
+      : []
+  );
+}
 
 export function getFilename(url) {
   try {
     return url.split('/').pop().split('#')[0].split('?')[0];
   } catch (error) {
-    console.error('Failed to extract filename:', error);
+    logger.warn('Failed to extract filename', { url, error });
     return null;
   }
 };
 
+export function hashContent(value) {
+  const input =
+    typeof value === "string" || Buffer.isBuffer(value)
+      ? value
+      : JSON.stringify(value);
+  return createHash("sha256").update(input).digest("hex");
+}
+
+export function stripHtml(html = "") {
+  return html.replace(/<[^>]*>/g, "").trim();
+}
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  hellip: "…",
+  ndash: "–",
+  mdash: "—",
+};
+
+// WordPress escapes rendered fields, mostly with numeric entities (&#8217;)
+export function decodeHtmlEntities(text = "") {
+  return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, code) => {
+    if (code[0] !== "#") return NAMED_ENTITIES[code.toLowerCase()] ?? match;
+    const isHex = code[1].toLowerCase() === "x";
+    return String.fromCodePoint(
+      parseInt(code.slice(isHex ? 2 : 1), isHex ? 16 : 10)
+    );
+  });
+}
+
 export function isValidNode(node) {
   return node && typeof node === 'object' && typeof node.type === 'string';
 }
@@ -41,11 +289,6 @@ export function isValidUrl(string) {
   }
 }
 
-export function isBoldMarkdown(text) {
-  const boldPattern = /(\*\*|__)(.*?)\1/g;
-  return boldPattern.test(text);
-}
-
 export function normalizeUrl(url) {
   try {
     // Remove query parameters and hash
@@ -58,7 +301,7 @@ export function normalizeUrl(url) {
       .replace(/\/(small|medium|large|thumbnail)\//g, '/') // Remove size indicators
       .replace(/\/{2,}/g, '/'); // Replace multiple slashes with single slash
   } catch (error) {
-    console.error('Invalid URL:', url);
+    logger.warn('Invalid URL', { url });
     return url;
   }
 };
@@ -70,92 +313,200 @@ export function normalizeFilename(filename) {
     .replace(/\.[^/.]+$/, ''); // Remove extension
 };
 
-// Helper function to process link matches
-export function processLinkMatch(match) {
-  if (!isValidUrl(match[2])) {
-    console.warn(`Invalid URL found: ${match[2]}`);
-    return { type: "text", text: match[0] };
-  }
-  return {
-    type: "link",
-    url: match[2],
-    children: [{ type: "text", text: match[1] }],
-  };
+// Marked inline token types that map onto Strapi text modifiers
+const INLINE_MARKS = {
+  strong: "bold",
+  em: "italic",
+  del: "strikethrough",
+  codespan: "code",
+};
+
+const TEXT_MARKS = ["bold", "italic", "underline", "strikethrough", "code"];
+
+export const MARKED_OPTIONS = { gfm: true, breaks: true, pedantic: false };
+
+function isLinkTarget(href) {
+  return Boolean(href) && (isValidUrl(href) || /^([/#?]|\.\.?\/)/.test(href));
 }
 
-export function parseInlineParagraphFormatting(text) {
-  const patterns = [
-    { regex: /\*\*(.*?)\*\*/g, key: "bold" },
-    { regex: /_(.*?)_/g, key: "italic" },
-    { regex: /~~(.*?)~~/g, key: "strikethrough" },
-    { regex: /<u>(.*?)<\/u>/g, key: "underline" },
-    { regex: /\[(.*?)\]\((.*?)\)/g, key: "link" },
-  ];
+function hasSameMarks(a, b) {
+  return TEXT_MARKS.every((mark) => Boolean(a[mark]) === Boolean(b[mark]));
+}
 
-  let nodes = [];
-  let remainingText = text;
+// Walks marked's inline tokens, carrying the active marks down into children
+function walkInlineTokens(
+  tokens = [],
+  marks = {},
+  state = { underline: false }
+) {
+  const nodes = [];
+  const pushText = (text, extraMarks = {}) => {
+    if (!text) return;
+    nodes.push({
+      type: "text",
+      text: decodeHtmlEntities(text),
+      ...marks,
+      ...(state.underline && { underline: true }),
+      ...extraMarks,
+    });
+  };
 
-  for (const { regex, key } of patterns) {
-    let match;
-    while ((match = regex.exec(remainingText)) !== null) {
-      const beforeMatch = remainingText.slice(0, match.index);
-      if (beforeMatch) {
-        nodes.push({ type: "text", text: beforeMatch });
+  tokens.forEach((token) => {
+    switch (token.type) {
+      case "strong":
+      case "em":
+      case "del":
+        nodes.push(
+          ...walkInlineTokens(
+            token.tokens,
+            { ...marks, [INLINE_MARKS[token.type]]: true },
+            state
+          )
+        );
+        break;
+      case "codespan":
+        pushText(token.text, { code: true });
+        break;
+      case "link": {
+        // Strapi link children may only be text nodes
+        const children = walkInlineTokens(token.tokens, marks, state).filter(
+          (node) => node.type === "text"
+        );
+        if (!isLinkTarget(token.href)) {
+          logger.warn('Invalid link URL dropped', { url: token.href });
+          nodes.push(...children);
+          break;
+        }
+        nodes.push({ type: "link", url: token.href, children });
+        break;
       }
+      case "image":
+        pushText(token.text);
+        break;
+      case "br":
+        pushText("\n");
+        break;
+      case "html":
+        // Turndown leaves <u> alone; other inline tags are dropped
+        if (/^<u>$/i.test(token.text)) state.underline = true;
+        else if (/^<\/u>$/i.test(token.text)) state.underline = false;
+        break;
+      case "text":
+        if (token.tokens) {
+          nodes.push(...walkInlineTokens(token.tokens, marks, state));
+        } else {
+          pushText(token.text);
+        }
+        break;
+      default:
+        pushText(token.text ?? token.raw);
+    }
+  });
 
-      nodes.push(
-        key === "link"
-          ? processLinkMatch(match)
-          : { type: "text", text: match[1], [key]: true }
-      );
+  return nodes;
+}
 
-      remainingText = remainingText.slice(match.index + match[0].length);
-      regex.lastIndex = 0;
+// Joins neighbouring text nodes that carry exactly the same marks
+function mergeTextNodes(nodes) {
+  return nodes.reduce((merged, node) => {
+    const last = merged[merged.length - 1];
+    const sameText =
+      node.type === "text" && last?.type === "text" && hasSameMarks(last, node);
+
+    if (sameText) {
+      last.text += node.text;
+    } else if (node.type === "link") {
+      merged.push({ ...node, children: mergeTextNodes(node.children) });
+    } else {
+      merged.push(node);
     }
-  }
+    return merged;
+  }, []);
+}
 
-  if (remainingText) {
-    nodes.push({ type: "text", text: remainingText });
+// Converts marked inline tokens into Strapi Blocks text and link nodes, in
+// source order, with combined modifiers and formatted text inside links
+export function parseInlineTokens(tokens) {
+  const nodes = mergeTextNodes(walkInlineTokens(tokens));
+  // Strapi rejects blocks without children
+  return nodes.length > 0 ? nodes : [{ type: "text", text: "" }];
+}
+
+export function parseInlineParagraphFormatting(text) {
+  return parseInlineTokens(Lexer.lexInline(text, MARKED_OPTIONS));
+}
+
+
+export async function downloadFile(url) {
+  const response = await request(url);
+  if (!response.ok) {
+    throw new Error(
+      `Failed to download: ${response.status} ${response.statusText}`
+    );
   }
 
-  return nodes;
+  const blob = await response.blob();
+  // Extract filename from URL or use a default one
+  const filename = getFilename(url) || "image";
+  const hash = hashContent(Buffer.from(await blob.arrayBuffer()));
+
+  // Create a File object instead of using blob directly
+  return { file: new File([blob], filename, { type: blob.type }), hash };
 }
 
+export async function uploadFile(file, uploadUrl) {
+  const formData = new FormData();
+  formData.append("files", file);
 
-export async function downloadAndUploadFile(url, uploadUrl) {
-  try {
-    const response = await fetch(url);
-    if (!response.ok) {
-      throw new Error(
-        `Failed to download: ${response.status} ${response.statusText}`
-      );
-    }
+  const uploadResponse = await request(uploadUrl, {
+    method: "POST",
+    headers: strapiHeaders(),
+    body: formData,
+  });
 
-    const blob = await response.blob();
-    // Extract filename from URL or use a default one
-    const filename =
-      url.split("/").pop().split("#")[0].split("?")[0] || "image";
+  if (!uploadResponse.ok) {
+    const errorData = await uploadResponse.json().catch(() => ({}));
+    throw new Error(
+      `Upload failed: ${uploadResponse.status} ${JSON.stringify(errorData)}`
+    );
+  }
 
-    // Create a File object instead of using blob directly
-    const file = new File([blob], filename, { type: blob.type });
-    const formData = new FormData();
-    formData.append("files", file);
+  // Callers read the body themselves, so the manifest reads a copy
+  const uploaded = await uploadResponse.clone().json();
+  RunManifest.getInstance().trackMedia(uploaded[0]);
+  return uploadResponse;
+}
 
-    const uploadResponse = await fetch(uploadUrl, {
-      method: "POST",
-      body: formData,
-    });
+// Sets alternativeText / caption on a file already in the media library
+export async function updateFileInfo(id, fileInfo, uploadUrl) {
+  const formData = new FormData();
+  formData.append("fileInfo", JSON.stringify(fileInfo));
 
-    if (!uploadResponse.ok) {
-      const errorData = await uploadResponse.json().catch(() => ({}));
-      throw new Error(
-        `Upload failed: ${uploadResponse.status} ${JSON.stringify(errorData)}`
-      );
-    }
+  const response = await request(`${uploadUrl}?id=${id}`, {
+    method: "POST",
+    headers: strapiHeaders(),
+    body: formData,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(
+      `File info update failed: ${response.status} ${JSON.stringify(errorData)}`
+    );
+  }
 
-    return uploadResponse;
+  RunManifest.getInstance().touchMedia(
+    await response.clone().json().catch(() => null)
+  );
+  return response;
+}
+
+export async function downloadAndUploadFile(url, uploadUrl) {
+  try {
+    const { file } = await downloadFile(url);
+    return await uploadFile(file, uploadUrl);
   } catch (error) {
-    console.error("File processing failed:", error);
+    logger.error("File processing failed", { url, error });
     throw error;
   }
 }
@@ -191,14 +542,14 @@ export function convertNodesToMarkdown(nodes) {
   nodes.forEach((node) => {
     // Replace current validation with isValidNode
     if (!isValidNode(node)) {
-      console.warn('Invalid node encountered:', node);
+      logger.warn('Invalid node encountered', { node });
       return;
     }
 
     switch (node.type) {
       case "heading":
         if (!validateNode(node, ['level', 'children'])) {
-          console.warn('Invalid heading node:', node);
+          logger.warn('Invalid heading node', { node });
           return;
         }
         const headingLevel = "#".repeat(node.level);
@@ -250,7 +601,7 @@ export function convertNodesToMarkdown(nodes) {
         markdown += "---\n\n";
         break;
       default:
-        console.warn(`Unsupported node type: ${node.type}`, node);
+        logger.warn(`Unsupported node type: ${node.type}`, { node });
         // Instead of throwing, we'll skip invalid nodes
         return;
     }
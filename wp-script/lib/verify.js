@@ -0,0 +1,310 @@
+import fs from "node:fs";
+import path from "node:path";
+import { CONFIG } from "../config.js";
+import { stripHtml, decodeHtmlEntities } from "./utils.js";
+import { fetchStrapiEntries } from "./strapi.js";
+
+// Word counts further apart than this are flagged even when the text is
+// similar, as whole paragraphs may have gone missing
+const WORD_COUNT_TOLERANCE = 0.1;
+
+const toWords = (text) => text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+const normalizeHeading = (level, text) =>
+  `h${level} ${toWords(text).join(" ")}`;
+
+// Text, word count, images, links and heading outline of WordPress HTML
+function measureHtml(html = "") {
+  const visible = html.replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, "");
+  // Linked images count as images only, as they do once converted
+  const links = Array.from(
+    visible.matchAll(/<a\b[^>]*\shref=[^>]*>([\s\S]*?)<\/a>/gi)
+  ).filter(([, inner]) => stripHtml(inner));
+  const outline = Array.from(
+    visible.matchAll(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi),
+    ([, level, inner]) =>
+      normalizeHeading(level, decodeHtmlEntities(stripHtml(inner)))
+  );
+  // Block-level tags end a word even without whitespace around them
+  const text = decodeHtmlEntities(
+    stripHtml(visible.replace(/<\/?(p|div|li|h[1-6]|br|td|th)\b/gi, " $&"))
+  );
+
+  return {
+    text,
+    words: toWords(text).length,
+    images: (visible.match(/<img\b/gi) || []).length,
+    links: links.length,
+    outline,
+  };
+}
+
+// The same measures for Strapi Blocks nodes and layout components
+function measureBlocks(blocks = [], layout = []) {
+  const texts = [];
+  const measures = { images: 0, links: 0, outline: [] };
+
+  // List items are blocks of their own, their text doesn't run together
+  const inlineText = (node) =>
+    node.type === "text"
+      ? node.text || ""
+      : (node.children || [])
+          .map(inlineText)
+          .join(node.type === "list" ? " " : "");
+
+  const walk = (node) => {
+    if (node.type === "image") measures.images++;
+    if (node.type === "link") measures.links++;
+    if (node.type === "heading") {
+      measures.outline.push(normalizeHeading(node.level, inlineText(node)));
+    }
+    (node.children || []).forEach(walk);
+  };
+
+  const addBlock = (block) => {
+    walk(block);
+    texts.push(inlineText(block));
+  };
+
+  if (layout.length > 0) {
+    layout.forEach((component) => {
+      switch (component.__component) {
+        case "shared.rich-text":
+          (component.body || []).forEach(addBlock);
+          break;
+        case "shared.table":
+          texts.push(
+            [component.header || [], ...(component.rows || [])]
+              .flat()
+              .join(" ")
+          );
+          break;
+        case "shared.gallery":
+          measures.images += component.images?.length || 0;
+          break;
+        case "shared.button":
+          measures.links++;
+          texts.push(component.label || "");
+          break;
+        default:
+          break;
+      }
+    });
+  } else {
+    blocks.forEach(addBlock);
+  }
+
+  const text = texts.join("\n");
+  return { text, words: toWords(text).length, ...measures };
+}
+
+// Dice coefficient of the word pairs of both texts, from 0 to 1
+export function textSimilarity(a, b) {
+  const pairs = (text) => {
+    const words = toWords(text);
+    if (words.length < 2) return words;
+    return words.slice(1).map((word, index) => `${words[index]} ${word}`);
+  };
+
+  const left = pairs(a);
+  const right = pairs(b);
+  if (left.length === 0 && right.length === 0) return 1;
+
+  const counts = new Map();
+  left.forEach((pair) => counts.set(pair, (counts.get(pair) || 0) + 1));
+  let shared = 0;
+  right.forEach((pair) => {
+    const count = counts.get(pair);
+    if (count) {
+      shared++;
+      counts.set(pair, count - 1);
+    }
+  });
+
+  return (2 * shared) / (left.length + right.length);
+}
+
+function compareEntry(entity, entry, threshold) {
+  const source = measureHtml(entity.content?.rendered);
+  const target = measureBlocks(entry.blocksContent, entry.layout);
+  const similarity = textSimilarity(source.text, target.text);
+  const title = decodeHtmlEntities(stripHtml(entity.title?.rendered));
+  const issues = [];
+
+  if (title !== entry.title) issues.push("Title differs");
+  if (entity.slug !== entry.slug) issues.push("Slug differs");
+  if (
+    Math.abs(source.words - target.words) >
+    Math.max(source.words, target.words) * WORD_COUNT_TOLERANCE
+  ) {
+    issues.push(`Word count ${source.words} -> ${target.words}`);
+  }
+  if (source.images !== target.images) {
+    issues.push(`Image count ${source.images} -> ${target.images}`);
+  }
+  if (source.links !== target.links) {
+    issues.push(`Link count ${source.links} -> ${target.links}`);
+  }
+  if (source.outline.join("\n") !== target.outline.join("\n")) {
+    issues.push("Heading outline differs");
+  }
+  if (similarity < threshold) {
+    issues.push(`Text similarity ${similarity.toFixed(2)} below ${threshold}`);
+  }
+
+  return {
+    wpId: entity.id,
+    slug: entity.slug,
+    documentId: entry.documentId,
+    title: { source: title, target: entry.title },
+    words: { source: source.words, target: target.words },
+    images: { source: source.images, target: target.images },
+    links: { source: source.links, target: target.links },
+    outline: { source: source.outline, target: target.outline },
+    similarity: Number(similarity.toFixed(4)),
+    flagged: issues.length > 0,
+    issues,
+  };
+}
+
+// Compares WordPress entries with what was saved for them in apiPath,
+// matched by wpId. Entries never migrated are flagged as missing.
+export async function verifyCollection(data, apiPath, options = {}) {
+  const { threshold = CONFIG.VERIFY.THRESHOLD } = options;
+  if (data.length === 0) return [];
+
+  const entries = await fetchStrapiEntries(apiPath, {
+    status: "draft",
+    "populate[layout][populate]": "*",
+  });
+  const byWpId = new Map(entries.map((entry) => [entry.wpId, entry]));
+
+  return data.map((entity) => {
+    const entry = byWpId.get(entity.id);
+    if (!entry) {
+      return {
+        wpId: entity.id,
+        slug: entity.slug,
+        flagged: true,
+        issues: [`Not found in ${apiPath}`],
+      };
+    }
+    return compareEntry(entity, entry, threshold);
+  });
+}
+
+export function buildVerifyReport(posts, threshold) {
+  const flagged = posts.filter((post) => post.flagged);
+  const scored = posts.filter((post) => post.similarity !== undefined);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    threshold,
+    summary: {
+      checked: posts.length,
+      flagged: flagged.length,
+      missing: posts.length - scored.length,
+      averageSimilarity: scored.length
+        ? Number(
+            (
+              scored.reduce((sum, post) => sum + post.similarity, 0) /
+              scored.length
+            ).toFixed(4)
+          )
+        : null,
+    },
+    // Worst first, so what needs a look is at the top
+    posts: [...posts].sort(
+      (a, b) =>
+        Number(b.flagged) - Number(a.flagged) ||
+        (a.similarity ?? -1) - (b.similarity ?? -1)
+    ),
+  };
+}
+
+const escapeHtml = (text = "") =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const countCell = (count) =>
+  count ? `${count.source} / ${count.target}` : "";
+
+function formatRow(post) {
+  const id = post.documentId ? ` · ${escapeHtml(post.documentId)}` : "";
+  const headings = post.outline && {
+    source: post.outline.source.length,
+    target: post.outline.target.length,
+  };
+
+  return `      <tr class="${post.flagged ? "flagged" : "ok"}">
+        <td>${escapeHtml(post.slug)}<br><small>wp ${post.wpId}${id}</small></td>
+        <td>${post.similarity ?? ""}</td>
+        <td>${countCell(post.words)}</td>
+        <td>${countCell(post.images)}</td>
+        <td>${countCell(post.links)}</td>
+        <td>${countCell(headings)}</td>
+        <td>${post.issues.map(escapeHtml).join("<br>")}</td>
+      </tr>`;
+}
+
+export function formatVerifyReport(report) {
+  const { summary } = report;
+  const rows = report.posts.map(formatRow).join("\n");
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>Migration verification ${escapeHtml(report.generatedAt)}</title>
+    <style>
+      body { font-family: sans-serif; margin: 2rem; }
+      table { border-collapse: collapse; width: 100%; }
+      th, td { border: 1px solid #ddd; padding: 0.4rem; text-align: left; }
+      td { vertical-align: top; }
+      tr.flagged { background: #fdecea; }
+    </style>
+  </head>
+  <body>
+    <h1>Migration verification</h1>
+    <p>
+      Generated ${escapeHtml(report.generatedAt)}.
+      ${summary.checked} checked, ${summary.flagged} flagged,
+      ${summary.missing} missing; average similarity
+      ${summary.averageSimilarity ?? "n/a"} (threshold ${report.threshold}).
+    </p>
+    <table>
+      <thead>
+        <tr>
+          <th>Post</th>
+          <th>Similarity</th>
+          <th>Words (WP / Strapi)</th>
+          <th>Images</th>
+          <th>Links</th>
+          <th>Headings</th>
+          <th>Issues</th>
+        </tr>
+      </thead>
+      <tbody>
+${rows}
+      </tbody>
+    </table>
+  </body>
+</html>
+`;
+}
+
+// Writes <dir>/verify-<timestamp>.json and a matching .html report
+export function writeVerifyReport(report, outputDir) {
+  const stamp = report.generatedAt.replace(/[:.]/g, "-");
+  const jsonPath = path.resolve(outputDir, `verify-${stamp}.json`);
+  const htmlPath = path.resolve(outputDir, `verify-${stamp}.html`);
+
+  fs.mkdirSync(path.dirname(jsonPath), { recursive: true });
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+  fs.writeFileSync(htmlPath, formatVerifyReport(report));
+
+  return { jsonPath, htmlPath };
+}